@@ -37,6 +37,323 @@
  * • Class-Based Strategy - Adapts to class strengths/weaknesses
  * • Ex/Sp Parameter Analysis - Full parameter consideration
  * • Comprehensive Effect Handling - All skill/item/state effects
+ *
+ * ============================================================================
+ * Predicting the Party
+ * ============================================================================
+ *
+ * Each skill an actor uses is recorded with the one or two skills it used
+ * before it in the same battle and the situation it was used in: the actor's
+ * HP (above 60%, above 30% or lower), the party's average HP in the same
+ * bands, and whether the actor has any states. The next skill is predicted by
+ * blending these counts, trusting the longer sequences as they gather
+ * evidence, and comes with a confidence that grows with the observations
+ * behind the counts it used and how clear the favourite is. Until it is
+ * confident, enemies assume the actor's normal attack. The model is kept
+ * across battles and cleared by the Reset AI Memory command.
+ *
+ * Predictions confident enough for the difficulty (70% in Story, 45% in
+ * Adaptive, 25% in Masochist) are countered directly: an actor about to heal
+ * or revive is put to sleep, stunned or silenced, a buffed actor about to
+ * attack loses the ATK/MAT buff, and allies about to take a big hit or an
+ * area attack are guarded, shielded or healed first.
+ *
+ * ============================================================================
+ * Boss Lookahead
+ * ============================================================================
+ *
+ * Enemy notetag:
+ *   <ai_search: lookahead 2>
+ *
+ * The enemy looks one or two rounds ahead before choosing. For its best few
+ * options it plays out its own action (hit or miss), the party's replies as
+ * predicted from their past behaviour, slip damage and the expiry of states
+ * and buffs, then keeps choosing its best follow-up. Buffs gained or lost
+ * along the way count toward how good a position is, but damage is always
+ * estimated from the battlers' current parameters. Each decision stops at
+ * the Search Node Budget or Search Time Budget, whichever comes first, and
+ * each option gets an equal share of both so the first one searched cannot
+ * use them up. Use a time budget of 0 when decisions must replay exactly
+ * from a seed.
+ *
+ *   <ai_search: mcts>
+ *
+ * Instead of the usual weighted scores, the enemy plays each of its best
+ * options out Rollouts Per Action times, rolling hits, criticals, damage
+ * variance and states, with every battler following a simple default policy
+ * for Rollout Depth rounds. It picks the option with the best average
+ * outcome: party HP removed plus allies left standing.
+ *
+ * ============================================================================
+ * Boss Phases
+ * ============================================================================
+ *
+ * Enemy notetags:
+ *   <ai_phase 2: hp<=50% role=dps weights=0.1,0.7,0.1,0.1 skills=12,13,20>
+ *   <ai_phase 3: turn>=8 role=dps event=15>
+ *
+ * Conditions (all must hold): hp, mp or tp compared with a value or a
+ * percentage, turn compared with the troop turn count, and allies compared
+ * with the number of living troop mates. A phase without conditions applies
+ * from the first turn.
+ *
+ * Options: role replaces <ai_role>, weights replaces the Survival, Damage,
+ * Support and Tactical weights (in that order), skills replaces the action
+ * list (database entries keep their rating and conditions) and event
+ * reserves a common event when the phase starts.
+ *
+ * Phases are checked when the enemy picks its actions. The enemy jumps to the
+ * highest phase it qualifies for and never goes back, even if it is healed.
+ *
+ * ============================================================================
+ * Scripted Sequences
+ * ============================================================================
+ *
+ * Enemy notetag:
+ *   <ai_sequence: 5,5,12>
+ *   <ai_sequence: 5,11 loop interruptible>
+ *
+ * The enemy uses the listed skills in order, one per action, then goes back
+ * to choosing for itself. With loop it starts the list over instead. With
+ * interruptible, an action scoring at least the Sequence Interrupt Margin
+ * above the scripted step (an emergency heal, a certain kill) is used
+ * instead, and the sequence resumes at the same step next time. Steps that
+ * cannot be used (not enough MP, sealed, forbidden by a rule) are skipped in
+ * favour of the next usable one. A step only counts as taken once its action
+ * runs, so an action lost to a stun or a cancelled turn is tried again.
+ * Targets are still chosen by the AI.
+ *
+ * ============================================================================
+ * Per-Enemy Parameters
+ * ============================================================================
+ *
+ * Enemy notetags:
+ *   <ai_weights: survival=0.6 damage=0.2 support=0.1 tactical=0.1>
+ *   <ai_param: healingThreshold=0.3 statusEffectBonus=40>
+ *
+ * <ai_weights> replaces the Survival, Damage, Support, Tactical and State
+ * Preservation weights for this enemy; weights left out keep their plugin
+ * parameter value. <ai_param> does the same for any other parameter by its
+ * name, e.g. includeBasicAttack=true or mctsRollouts=64 for one boss only.
+ * The weights of an <ai_phase> take priority over both.
+ *
+ * ============================================================================
+ * Counters and Reflection
+ * ============================================================================
+ *
+ * Before using a physical skill on an actor with Counter Attack, or a magical
+ * one on an actor with Magic Reflection, the enemy weighs the chance that the
+ * action is cancelled and what comes back: the actor's normal attack, or the
+ * skill itself with the enemy's own element rates, defenses and state
+ * resistances. Actors that cannot move do not counter.
+ *
+ * ============================================================================
+ * MP and TP Budgeting
+ * ============================================================================
+ *
+ * Enemies estimate how many turns the battle has left from both sides' HP and
+ * damage rates, and spread MP and TP over that time instead of spending
+ * everything at once. MP Cost Rate, MP and TP Regeneration and TP charged by
+ * damage taken (TP Charge Rate) are counted. Skills costing more than the
+ * budget for a turn score lower; on the last expected turn the budget is the
+ * whole pool.
+ *
+ * Mark a signature or emergency skill with <ai_reserve> in its note to keep
+ * enough MP/TP to cast it; <ai_reserve: 2> keeps enough for two casts. Other
+ * skills that would dip into the reserve are strongly discouraged, and the
+ * largest reserve among the enemy's skills applies.
+ *
+ * ============================================================================
+ * TP Charge-Up
+ * ============================================================================
+ *
+ * When an enemy has a skill it cannot afford yet, such as a 100 TP finisher,
+ * it plans toward it. Skills that build TP (their TP Gain, Gain TP effects on
+ * the user) score by the value of the finisher they bring closer, discounted
+ * by the turns still needed. TP from regeneration and from being hit counts
+ * toward it. Spending that TP on other skills is discouraged, and a finisher
+ * that cannot be reached before the battle is expected to end is ignored.
+ *
+ * ============================================================================
+ * Revival
+ * ============================================================================
+ *
+ * Skills that remove the Dead state from fallen allies score by what the
+ * ally would still add: the value of its best skill it can still pay for,
+ * over the turns the restored HP lets it survive the party's damage. Healers,
+ * support, damage dealers and the <ai_leader> are worth more, and so are
+ * allies with more skills left, so a fallen healer is brought back before a
+ * fodder minion. The revive still has to beat the attack it replaces.
+ *
+ * ============================================================================
+ * Kill Sizing
+ * ============================================================================
+ *
+ * Damage the troop has already committed this turn is subtracted before an
+ * enemy scores its own attacks. An enemy's commitment ends once it has acted,
+ * or when it chooses again, so this works the same in TPB battles. A target
+ * the others are expected to finish is worth little, so the spare damage goes
+ * to other targets, and a smaller (often cheaper) skill that just finishes a
+ * target scores the kill without the overkill.
+ *
+ * ============================================================================
+ * Dispels and Cleanses
+ * ============================================================================
+ *
+ * Skills that remove states, buffs or debuffs are scored apart from skills
+ * that add them. On an actor, a removal is worth the benefit the stripped
+ * states (regeneration, damage cuts, raised parameters, evasion and the like)
+ * and buffs would still give over their remaining turns; ailments and debuffs
+ * the troop put on that actor count against it. On a troop member, it is worth
+ * the harm the removed ailments and debuffs would still do: lost actions, slip
+ * damage, lowered parameters and sealed skills.
+ *
+ * ============================================================================
+ * Guard and Defensive Actions
+ * ============================================================================
+ *
+ * Enemies estimate the damage the party will deal them next round from each
+ * actor's predicted skill, normal attack and the hardest hit it has landed so
+ * far, shared out by target rate. Guard, DEF/MDF buffs and states that lower
+ * physical or magical damage rates score by how much of that damage they
+ * prevent, with Guard Effect (grd) applied. Longer states count for up to 3
+ * turns, and an action that survives an otherwise lethal round scores highly.
+ *
+ * ============================================================================
+ * Troop Planning
+ * ============================================================================
+ *
+ * Each turn every enemy first decides as usual, keeping its few best options.
+ * With "Troop Planning" on, the troop then revises those choices together:
+ * a second healer on an ally the first heal already covers, or an attacker a
+ * kill does not need, switches to its next best option; combined attacks
+ * that kill a target nobody could kill alone are favoured; and a buff counts
+ * for more when the buffed ally attacks after it. Scripted steps, fallback
+ * picks and the actions of multi-action enemies are never changed.
+ *
+ * Troop planning needs the whole troop to choose at the start of a turn, so
+ * it only runs in turn-based battles. In time-progress (TPB) battles each
+ * enemy chooses alone when its gauge fills.
+ *
+ * ============================================================================
+ * Hate and Taunts
+ * ============================================================================
+ *
+ * The troop keeps a hate value per actor for the battle. Damage dealt to the
+ * troop adds its amount, healing adds half, each state or debuff landed on an
+ * enemy adds 30, and every turn hate fades by the Hate Decay rate. Enemies
+ * aim single-target actions by the share of hate each actor holds, scaled by
+ * the actor's target rate (TGR).
+ *
+ * Skill/item notetag:
+ *   <ai_hate: +200>      adds (or with a minus, removes) hate once per use
+ * State notetag:
+ *   <ai_taunt>           enemies must aim single-target actions at this actor
+ * Enemy notetag:
+ *   <ai_personality: aggressive>
+ *     How much the enemy follows hate: cunning 0.2, calm 0.5, cowardly 0.5,
+ *     balanced 1, aggressive 1.5, berserk 2.5.
+ *
+ * ============================================================================
+ * Fleeing
+ * ============================================================================
+ *
+ * Enemy notetags:
+ *   <ai_flee: hp<25% chance=60%>
+ *   <ai_flee: allies<=0 turn>=3>
+ *   <ai_personality: cowardly>
+ *
+ * At the start of each turn, an enemy whose <ai_flee> conditions all hold
+ * (same conditions as <ai_phase>, plus allies = living troop mates) flees
+ * with the given chance instead of acting. No escape skill is needed.
+ *
+ * Morale falls as troop mates die or flee and as the enemy loses HP. Below
+ * the Morale Flee Threshold the enemy may flee, the lower the likelier.
+ * Cowardly enemies use a threshold of at least 40 and lose morale faster;
+ * berserk enemies never flee on morale. Every enemy that gets away is
+ * remembered per troop, and flees a little more readily in later battles
+ * against the same troop. Escape skills in the action list are scored by
+ * the same desire to flee.
+ *
+ * ============================================================================
+ * Troop Doctrine
+ * ============================================================================
+ *
+ * In the troop name or a comment on any of its battle event pages:
+ *   <ai_doctrine: focus>
+ *   <ai_difficulty: masochist>
+ *
+ * Doctrines change how the troop coordinates its attacks:
+ *   focus      pile onto the target allies already picked, weakest first
+ *   spread     spread damage and statuses over the whole party
+ *   protect    heal and buff the leader, attack the party's hardest hitter
+ *   attrition  statuses and debuffs over expensive damage skills
+ *   alpha      all-out damage, preferring skills that hit everyone
+ * Without a doctrine the troop avoids sending more than two attackers at one
+ * target. The leader is the enemy tagged <ai_leader>, otherwise the one with
+ * the highest max HP.
+ *
+ * <ai_difficulty> (story, adaptive, masochist or 0-2) replaces the difficulty
+ * mode while fighting this troop.
+ *
+ * ============================================================================
+ * Rule Notetags
+ * ============================================================================
+ *
+ * Enemy notetags, any number per enemy, applied in order after scoring:
+ *   <ai_rule: when target.hpRate < 0.3 and skill.element == 2 then +40>
+ *   <ai_rule: when self.state(12) then forbid skill 45>
+ *   <ai_rule: when party.count >= 3 and skill.isForAll then *1.5>
+ *
+ * Effects: +N or -N adds to the score, *N multiplies it, "forbid" rules out
+ * the skill being scored and "forbid skill N" rules out skill N only.
+ * A rule fires when any target of the action meets its condition. Forbidden
+ * skills are never used as a fallback; an enemy whose every option is
+ * forbidden does nothing that action.
+ *
+ * Conditions use the formula syntax plus and / or / not:
+ *   target, self  hp, mp, tp, hpRate, mpRate, tpRate, mhp, atk ... luk,
+ *                 isActor, isEnemy, isDead, level, state(id), buff(param),
+ *                 elementRate(id)
+ *   ally, party   count, dead, lowestHpRate, averageHpRate, anyState(id)
+ *                 (ally means the enemy's troop mates, not itself)
+ *   skill         id, element, mpCost, tpCost, scope, hitType, stype,
+ *                 isDamage, isHeal, isDrain, isForAll, addsState(id)
+ *   turn, switch[n], variable[n]
+ *
+ * HP, MP and states include what allies already chose this turn. A condition
+ * that cannot be evaluated counts as false and is logged once in debug mode.
+ *
+ * ============================================================================
+ * Damage Formulas
+ * ============================================================================
+ *
+ * The AI reads damage formulas with its own interpreter instead of eval().
+ * It understands numbers, strings, arithmetic, comparisons, && || ??, ! and
+ * ternaries, v[n], s[n], Math functions and common battler properties and
+ * methods (a.atk, b.hpRate(), b.isStateAffected(4), a.elementRate(2)...).
+ * Anything else (assignments, arrow functions, other globals) falls back to
+ * 100 damage; with Debug Mode on, each such formula is logged once with its
+ * skill ID.
+ *
+ * ============================================================================
+ * Action Simulation
+ * ============================================================================
+ *
+ * With "Simulate Actions" on, each candidate skill is run through the real
+ * Game_Action on copies of the user and target. Damage formulas that call
+ * methods or other plugins (e.g. b.isStateAffected(4) ? 2 : 1) then give
+ * their true value, and healing and state chances come from the engine. The
+ * live battle, battle log and animations are never touched.
+ *
+ * ============================================================================
+ * Reproducing AI Decisions
+ * ============================================================================
+ *
+ * All AI randomness (random targets, simulated actions and Story mode
+ * mistakes) comes from a seeded generator. With Debug Mode on, the
+ * seed of each battle is logged; pass it to the "Set AI Random Seed" command
+ * to replay the exact same decisions for the same battle state.
  * 
  * ============================================================================
  * 
@@ -194,6 +511,76 @@
  * @type number
  * @default 2
  * 
+ * @param simulateActions
+ * @text Simulate Actions
+ * @desc Run candidate actions on copies of the battlers so damage formulas, healing and states use the real engine (slower)
+ * @type boolean
+ * @default false
+ *
+ * @param searchNodeBudget
+ * @text Search Node Budget
+ * @desc Maximum nodes explored per decision by enemies using <ai_search>
+ * @type number
+ * @min 10
+ * @default 1500
+ *
+ * @param searchTimeBudget
+ * @text Search Time Budget
+ * @desc Maximum milliseconds per decision for <ai_search> lookahead and rollouts (0 = no time limit, fully reproducible)
+ * @type number
+ * @min 0
+ * @default 20
+ *
+ * @param mctsRollouts
+ * @text Rollouts Per Action
+ * @desc Playouts per candidate action for enemies using <ai_search: mcts>
+ * @type number
+ * @min 1
+ * @default 32
+ *
+ * @param mctsDepth
+ * @text Rollout Depth
+ * @desc Rounds played out after the candidate action in each rollout
+ * @type number
+ * @min 1
+ * @default 3
+ *
+ * @param troopPlanning
+ * @text Troop Planning
+ * @desc Revise the whole troop's choices together each turn (no double heals, no wasted attackers, buffs before attacks). Turn-based battles only.
+ * @type boolean
+ * @default true
+ *
+ * @param moraleFleeThreshold
+ * @text Morale Flee Threshold
+ * @desc Morale (0-100) below which enemies may flee; falls as allies die and HP drops (0 = only <ai_flee> and cowards)
+ * @type number
+ * @min 0
+ * @max 100
+ * @default 0
+ *
+ * @param fleeMessage
+ * @text Flee Message
+ * @desc Battle log text when an enemy flees (%1 = enemy name)
+ * @type string
+ * @default %1 flees!
+ *
+ * @param hateDecay
+ * @text Hate Decay
+ * @desc Share of each actor's hate kept at the end of every turn (1 = never fades)
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @default 0.80
+ *
+ * @param sequenceInterruptMargin
+ * @text Sequence Interrupt Margin
+ * @desc Score an action needs above the scripted step to interrupt an <ai_sequence> marked interruptible
+ * @type number
+ * @min 0
+ * @default 25
+ *
  * ============================================================================
  * Plugin Commands
  * ============================================================================
@@ -229,6 +616,16 @@
  * @text Reset AI Memory
  * @desc Clear all AI learning and memory data
  * 
+ * @command setRandomSeed
+ * @text Set AI Random Seed
+ * @desc Fix the seed used for all AI randomness (leave empty for a new seed each battle)
+ *
+ * @arg seed
+ * @text Seed
+ * @desc Any whole number, or text that is hashed into one. The seed of each battle is logged in debug mode.
+ * @type string
+ * @default
+ *
  * @command toggleDebugMode
  * @text Toggle Debug Mode
  * @desc Toggle AI debug logging on/off
@@ -243,7 +640,8 @@
     // Plugin parameters with runtime access
     const getPluginParams = () => {
         return {
-            difficultyMode: $gameSystem._aiDifficultyMode !== undefined ? 
+            difficultyMode: TroopDoctrine.getDifficultyOverride() !== undefined ? TroopDoctrine.getDifficultyOverride() :
+                $gameSystem._aiDifficultyMode !== undefined ?
                 $gameSystem._aiDifficultyMode : Number(parameters['difficultyMode']) || 1,
             adaptiveRange: (parameters['adaptiveRange'] || '0.5,1.5').split(',').map(Number),
             adaptiveSpeed: Number(parameters['adaptiveSpeed']) || 0.02,
@@ -267,7 +665,20 @@
             statePreservationBonus: Number(parameters['statePreservationBonus']) || 30,
             minStateValueThreshold: Number(parameters['minStateValueThreshold']) || 2,
             statePreservationWeight: Number(parameters['statePreservationWeight']) || 1.5,
-            mistakeChance: Number(parameters['mistakeChance']) || 0.15
+            mistakeChance: Number(parameters['mistakeChance']) || 0.15,
+            simulateActions: parameters['simulateActions'] === 'true',
+            searchNodeBudget: Number(parameters['searchNodeBudget']) || 1500,
+            searchTimeBudget: parameters['searchTimeBudget'] !== undefined && parameters['searchTimeBudget'] !== '' ?
+                Number(parameters['searchTimeBudget']) : 20,
+            mctsRollouts: Number(parameters['mctsRollouts']) || 32,
+            mctsDepth: Number(parameters['mctsDepth']) || 3,
+            troopPlanning: parameters['troopPlanning'] !== 'false',
+            moraleFleeThreshold: Number(parameters['moraleFleeThreshold']) || 0,
+            fleeMessage: parameters['fleeMessage'] || '%1 flees!',
+            hateDecay: parameters['hateDecay'] !== undefined && parameters['hateDecay'] !== '' ?
+                Number(parameters['hateDecay']) : 0.8,
+            sequenceInterruptMargin: parameters['sequenceInterruptMargin'] !== undefined && parameters['sequenceInterruptMargin'] !== '' ?
+                Number(parameters['sequenceInterruptMargin']) : 25
         };
     };
     
@@ -280,22 +691,23 @@
             healingUsage: {},
             itemUsage: {},
             skillUsage: {},
-            turnPatterns: [],
             lastActions: [],
-            itemQuantities: {}
-        }
+            itemQuantities: {},
+            actorModels: {}
+        },
+        fledEnemies: {}
     };
     
-    // Difficulty behaviors with runtime access
-    const getDifficultyBehavior = (mode) => {
+    // Difficulty behaviors with runtime access; an enemy passes its own parameters
+    const getDifficultyBehavior = (mode, params = getPluginParams()) => {
         const behaviors = {
             0: { // Story Mode
                 multiplier: 0.6,
                 randomness: 0.3,
-                mistakeChance: getPluginParams().mistakeChance,
+                mistakeChance: params.mistakeChance,
                 memoryDepth: 3,
                 learningRate: 0.1,
-                perfectPrediction: false,
+                predictionThreshold: 0.7,
                 sharedKnowledge: false,
                 persistentMemory: false,
                 predictiveCounter: false,
@@ -304,16 +716,16 @@
             1: { // Adaptive Mode
                 multiplier: function() {
                     const difficulty = $gameVariables.value(9999) || 1.0;
-                    const range = getPluginParams().adaptiveRange;
+                    const range = params.adaptiveRange;
                     return Math.max(range[0], Math.min(range[1], difficulty));
                 },
                 randomness: 0.1,
                 mistakeChance: 0.05,
                 memoryDepth: 10,
                 learningRate: 0.3,
-                perfectPrediction: false,
+                predictionThreshold: 0.45,
                 sharedKnowledge: false,
-                persistentMemory: getPluginParams().persistentMemory,
+                persistentMemory: params.persistentMemory,
                 predictiveCounter: true,
                 adaptiveLearning: true
             },
@@ -323,7 +735,7 @@
                 mistakeChance: 0,
                 memoryDepth: 999,
                 learningRate: 0.5,
-                perfectPrediction: true,
+                predictionThreshold: 0.25,
                 sharedKnowledge: true,
                 persistentMemory: true,
                 predictiveCounter: true,
@@ -333,153 +745,1257 @@
         return behaviors[mode] || behaviors[1];
     };
     
+    // Seeded random source for every AI roll
+    class AIRandom {
+        // Pick the seed for a new battle
+        static setupBattle(troopId) {
+            const seed = $gameSystem._aiRandomSeed !== undefined && $gameSystem._aiRandomSeed !== null ?
+                $gameSystem._aiRandomSeed : Math.floor(Math.random() * 0x100000000);
+            
+            $gameTroop._aiRandomSeed = seed >>> 0;
+            $gameTroop._aiRandomState = this.hash(seed, troopId || 0);
+            
+            if (getPluginParams().debugMode) {
+                console.log(`AI random seed for this battle: ${$gameTroop._aiRandomSeed}`);
+            }
+        }
+        
+        // Reseed from the battle seed and the battle state so a decision can be replayed
+        static seedDecision(enemy, slot) {
+            if ($gameTroop._aiRandomSeed === undefined) {
+                this.setupBattle($gameTroop._troopId);
+            }
+            
+            const values = [$gameTroop._aiRandomSeed, $gameTroop._troopId || 0, $gameTroop.turnCount(),
+                enemy ? enemy.index() : -1, slot || 0];
+            for (const battler of [...$gameTroop.members(), ...$gameParty.members()]) {
+                values.push(battler.hp, battler.mp, battler.tp, battler._states ? battler._states.length : 0);
+            }
+            
+            $gameTroop._aiRandomState = this.hash(...values);
+        }
+        
+        // Uniform float in [0, 1) (mulberry32)
+        static next() {
+            if ($gameTroop._aiRandomState === undefined) {
+                this.setupBattle($gameTroop._troopId);
+            }
+            
+            let t = $gameTroop._aiRandomState = ($gameTroop._aiRandomState + 0x6D2B79F5) >>> 0;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        }
+        
+        // Uniform integer in [0, max)
+        static randomInt(max) {
+            return Math.floor(this.next() * max);
+        }
+        
+        // FNV-1a over a list of numbers
+        static hash(...values) {
+            let hash = 2166136261;
+            for (const value of values) {
+                hash ^= Math.floor(Number(value) || 0) >>> 0;
+                hash = Math.imul(hash, 16777619) >>> 0;
+            }
+            return hash;
+        }
+        
+        // FNV-1a over the characters of a text seed
+        static hashString(text) {
+            return this.hash(...Array.from(String(text), char => char.codePointAt(0)));
+        }
+    }
+    
     // Safe damage formula evaluator
+    // Formulas are parsed into a small expression tree once and interpreted
+    // against a whitelist of battler members, v[n], s[n] and Math.
     class SafeFormulaEvaluator {
-        static evaluate(formula, a, b, v) {
+        static evaluate(formula, a, b, v, sourceId) {
             if (!formula || typeof formula !== 'string') return 100;
             
+            const compiled = this.compile(formula);
+            if (compiled.error) {
+                this.reportUnsupported(sourceId, formula, compiled.error);
+                return 100; // Fallback damage
+            }
+            
             try {
-                // Create safe evaluation context
-                const context = {
+                const scope = {
                     a: a || {},
                     b: b || {},
-                    v: v || $gameVariables._data || {},
-                    Math: Math
+                    v: v || $gameVariables._data || []
                 };
-                
-                // Replace formula variables safely
-                let safeFormula = formula;
-                safeFormula = safeFormula.replace(/\ba\.(\w+)/g, (match, prop) => {
-                    return context.a[prop] || 0;
-                });
-                safeFormula = safeFormula.replace(/\bb\.(\w+)/g, (match, prop) => {
-                    return context.b[prop] || 0;
-                });
-                safeFormula = safeFormula.replace(/\bv\[(\d+)\]/g, (match, id) => {
-                    return context.v[Number(id)] || 0;
-                });
-                
-                // Use Function constructor for safer evaluation
-                const func = new Function('Math', `return ${safeFormula}`);
-                const result = func(Math);
+                const result = Number(this.evaluateNode(compiled.ast, scope));
                 
                 return isNaN(result) ? 100 : result;
             } catch (e) {
-                if (getPluginParams().debugMode) {
-                    console.error('Formula evaluation error:', e, 'Formula:', formula);
-                }
+                this.reportUnsupported(sourceId, formula, e.message);
                 return 100; // Fallback damage
             }
         }
-    }
-    
-    // Enhanced Trait Analyzer
-    class TraitAnalyzer {
-        static analyzeBattler(battler) {
-            if (!battler) return this.getDefaultAnalysis();
+        
+        // Parse a formula once and keep the tree (or the parse error)
+        static compile(formula) {
+            if (!this.cache) this.cache = new Map();
+            if (this.cache.has(formula)) return this.cache.get(formula);
             
-            const analysis = this.getDefaultAnalysis();
+            let compiled;
+            try {
+                compiled = { ast: this.parse(formula, this.FORMULA_IDENTIFIERS) };
+            } catch (e) {
+                compiled = { error: e.message };
+            }
             
-            // Get all traits from all sources
-            const traits = this.getAllTraits(battler);
+            this.cache.set(formula, compiled);
+            return compiled;
+        }
+        
+        // Parse a single expression that may only refer to the given identifiers
+        // allowWords reads and / or / not as operators (rule conditions only)
+        static parse(source, identifiers, allowWords = false) {
+            const parser = { tokens: this.tokenize(source, allowWords), position: 0, identifiers: identifiers };
+            // A trailing semicolon is allowed, further statements are not
+            const ast = this.parseExpression(parser);
+            if (this.peek(parser).value === ';') parser.position++;
+            if (this.peek(parser).type !== 'end') {
+                throw new Error(`unexpected '${this.peek(parser).value}'`);
+            }
+            return ast;
+        }
+        
+        // Log each unsupported formula once per skill in debug mode
+        static reportUnsupported(sourceId, formula, reason) {
+            if (!this.reported) this.reported = new Set();
+            const key = `${sourceId}_${formula}`;
+            if (this.reported.has(key)) return;
+            this.reported.add(key);
             
-            // Process each trait
-            for (const trait of traits) {
-                this.processTrait(trait, analysis);
+            if (getPluginParams().debugMode) {
+                const source = sourceId !== undefined ? `Skill ${sourceId}` : 'Formula';
+                console.log(`${source}: unsupported formula construct (${reason}) in "${formula}", using fallback damage`);
+            }
+        }
+        
+        static tokenize(formula, allowWords = false) {
+            const tokens = [];
+            const operators = ['===', '!==', '**', '==', '!=', '<=', '>=', '&&', '||', '??',
+                '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '(', ')', '[', ']', '.', ',', ';'];
+            let i = 0;
+            
+            while (i < formula.length) {
+                const char = formula[i];
+                
+                if (/\s/.test(char)) {
+                    i++;
+                } else if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(formula[i + 1]))) {
+                    const match = formula.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/);
+                    tokens.push({ type: 'number', value: Number(match[0]) });
+                    i += match[0].length;
+                } else if (/[A-Za-z_$]/.test(char)) {
+                    const match = formula.slice(i).match(/^[A-Za-z_$][\w$]*/);
+                    // Word forms of the logical operators, as used by <ai_rule> conditions
+                    const words = { and: '&&', or: '||', not: '!' };
+                    const word = allowWords && Object.prototype.hasOwnProperty.call(words, match[0]);
+                    tokens.push(word ? { type: 'operator', value: words[match[0]] } :
+                        { type: 'identifier', value: match[0] });
+                    i += match[0].length;
+                } else if (char === '"' || char === "'") {
+                    const end = formula.indexOf(char, i + 1);
+                    if (end < 0) throw new Error('unterminated string');
+                    tokens.push({ type: 'string', value: formula.slice(i + 1, end) });
+                    i = end + 1;
+                } else {
+                    const operator = operators.find(op => formula.startsWith(op, i));
+                    if (!operator || formula.startsWith('=>', i)) {
+                        throw new Error(`'${formula.slice(i, i + 2).trim()}'`);
+                    }
+                    tokens.push({ type: 'operator', value: operator });
+                    i += operator.length;
+                }
             }
             
-            // Calculate final parameters
-            this.calculateFinalParams(battler, analysis);
-            
-            return analysis;
+            tokens.push({ type: 'end', value: 'end of formula' });
+            return tokens;
         }
         
-        static getDefaultAnalysis() {
-            return {
-                params: {},
-                exParams: {},
-                spParams: {},
-                elementRates: {},
-                debuffRates: {},
-                stateRates: {},
-                stateResists: [],
-                attackElements: [],
-                attackStates: [],
-                attackSpeed: 0,
-                attackTimes: 0,
-                actionTimes: 0,
-                specialFlags: [],
-                partyAbilities: [],
-                sealedSkillTypes: [],
-                sealedSkills: [],
-                addedSkillTypes: [],
-                addedSkills: [],
-                weaponTypes: [],
-                armorTypes: [],
-                fixedEquips: [],
-                sealedEquips: [],
-                slotTypes: []
-            };
+        static peek(parser) {
+            return parser.tokens[parser.position];
         }
         
-        static getAllTraits(battler) {
-            let traits = [];
-            
-            // Base traits
-            if (battler && battler.traits) {
-                traits = traits.concat(battler.traits());
+        static accept(parser, value) {
+            const token = this.peek(parser);
+            if (token.type === 'operator' && token.value === value) {
+                parser.position++;
+                return true;
+            }
+            return false;
+        }
+        
+        static expect(parser, value) {
+            if (!this.accept(parser, value)) {
+                throw new Error(`expected '${value}' but found '${this.peek(parser).value}'`);
+            }
+        }
+        
+        // Ternary has the lowest precedence
+        static parseExpression(parser) {
+            const test = this.parseBinary(parser, 0);
+            if (!this.accept(parser, '?')) return test;
+            
+            const consequent = this.parseExpression(parser);
+            this.expect(parser, ':');
+            const alternate = this.parseExpression(parser);
+            return { type: 'conditional', test: test, consequent: consequent, alternate: alternate };
+        }
+        
+        // Binary operators by precedence, lowest first
+        static parseBinary(parser, level) {
+            const levels = [
+                ['??'], ['||'], ['&&'], ['===', '!==', '==', '!='],
+                ['<', '>', '<=', '>='], ['+', '-'], ['*', '/', '%']
+            ];
+            if (level >= levels.length) return this.parseExponent(parser);
+            
+            let left = this.parseBinary(parser, level + 1);
+            let token = this.peek(parser);
+            while (token.type === 'operator' && levels[level].includes(token.value)) {
+                parser.position++;
+                const right = this.parseBinary(parser, level + 1);
+                left = { type: 'binary', operator: token.value, left: left, right: right };
+                token = this.peek(parser);
+            }
+            return left;
+        }
+        
+        // Exponent is right-associative; like JavaScript, a unary base must be parenthesized
+        static parseExponent(parser) {
+            const start = this.peek(parser);
+            const base = this.parseUnary(parser);
+            if (!this.accept(parser, '**')) return base;
+            if (start.type === 'operator' && ['-', '+', '!'].includes(start.value)) {
+                throw new Error(`unparenthesized '${start.value}' before '**'`);
+            }
+            return { type: 'binary', operator: '**', left: base, right: this.parseExponent(parser) };
+        }
+        
+        static parseUnary(parser) {
+            const token = this.peek(parser);
+            if (token.type === 'operator' && ['-', '+', '!'].includes(token.value)) {
+                parser.position++;
+                return { type: 'unary', operator: token.value, argument: this.parseUnary(parser) };
+            }
+            return this.parsePostfix(parser);
+        }
+        
+        // Member access, indexing and calls
+        static parsePostfix(parser) {
+            let node = this.parsePrimary(parser);
+            
+            while (true) {
+                if (this.accept(parser, '.')) {
+                    const name = this.peek(parser);
+                    if (name.type !== 'identifier') throw new Error(`expected a name after '.'`);
+                    parser.position++;
+                    node = { type: 'member', object: node, property: name.value };
+                } else if (this.accept(parser, '[')) {
+                    const index = this.parseExpression(parser);
+                    this.expect(parser, ']');
+                    node = { type: 'index', object: node, index: index };
+                } else if (this.accept(parser, '(')) {
+                    if (node.type !== 'member') throw new Error('calls are only allowed on members');
+                    const args = [];
+                    if (!this.accept(parser, ')')) {
+                        do {
+                            args.push(this.parseExpression(parser));
+                        } while (this.accept(parser, ','));
+                        this.expect(parser, ')');
+                    }
+                    node = { type: 'call', callee: node, args: args };
+                } else {
+                    return node;
+                }
             }
+        }
+        
+        static parsePrimary(parser) {
+            const token = this.peek(parser);
+            parser.position++;
             
-            // Actor-specific traits
-            if (battler && battler.isActor && battler.isActor()) {
-                // Actor data traits
-                if (battler.actor && battler.actor().traits) {
-                    traits = traits.concat(battler.actor().traits);
+            if (token.type === 'number' || token.type === 'string') {
+                return { type: 'literal', value: token.value };
+            }
+            if (token.type === 'identifier') {
+                const constants = { true: true, false: false, null: null, undefined: undefined, Infinity: Infinity };
+                if (token.value in constants) {
+                    return { type: 'literal', value: constants[token.value] };
                 }
-                
-                // Class traits
-                if (battler.currentClass && battler.currentClass() && battler.currentClass().traits) {
-                    traits = traits.concat(battler.currentClass().traits);
+                if (!parser.identifiers.includes(token.value)) {
+                    throw new Error(`identifier '${token.value}'`);
                 }
-                
-                // Equipment traits
-                if (battler.equips) {
-                    const equips = battler.equips();
-                    for (const item of equips) {
-                        if (item && item.traits) {
-                            traits = traits.concat(item.traits);
-                        }
-                    }
+                return { type: 'identifier', name: token.value };
+            }
+            if (token.type === 'operator' && token.value === '(') {
+                const expression = this.parseExpression(parser);
+                this.expect(parser, ')');
+                return expression;
+            }
+            throw new Error(`unexpected '${token.value}'`);
+        }
+        
+        static evaluateNode(node, scope) {
+            switch (node.type) {
+                case 'literal':
+                    return node.value;
+                case 'identifier':
+                    return node.name === 'Math' ? Math : scope[node.name];
+                case 'member':
+                    return this.getMember(this.evaluateNode(node.object, scope), node.property);
+                case 'index':
+                    return this.getIndex(node.object, this.evaluateNode(node.object, scope), this.evaluateNode(node.index, scope));
+                case 'call':
+                    return this.callMember(node, scope);
+                case 'unary': {
+                    const value = this.evaluateNode(node.argument, scope);
+                    return node.operator === '-' ? -value : node.operator === '+' ? +value : !value;
                 }
-            } else if (battler && battler.isEnemy && battler.isEnemy()) {
-                // Enemy traits
-                if (battler.enemy && battler.enemy().traits) {
-                    traits = traits.concat(battler.enemy().traits);
+                case 'conditional':
+                    return this.evaluateNode(node.test, scope) ?
+                        this.evaluateNode(node.consequent, scope) : this.evaluateNode(node.alternate, scope);
+                case 'binary':
+                    return this.evaluateBinary(node, scope);
+            }
+            throw new Error(`node '${node.type}'`);
+        }
+        
+        static evaluateBinary(node, scope) {
+            const left = this.evaluateNode(node.left, scope);
+            
+            // Short-circuit operators
+            switch (node.operator) {
+                case '&&': return left && this.evaluateNode(node.right, scope);
+                case '||': return left || this.evaluateNode(node.right, scope);
+                case '??': return left ?? this.evaluateNode(node.right, scope);
+            }
+            
+            const right = this.evaluateNode(node.right, scope);
+            switch (node.operator) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return left / right;
+                case '%': return left % right;
+                case '**': return left ** right;
+                case '<': return left < right;
+                case '>': return left > right;
+                case '<=': return left <= right;
+                case '>=': return left >= right;
+                case '==': return left == right;
+                case '!=': return left != right;
+                case '===': return left === right;
+                case '!==': return left !== right;
+            }
+            throw new Error(`operator '${node.operator}'`);
+        }
+        
+        // Only v[n], s[n] (or variable[n], switch[n]) and plain arrays may be indexed
+        static getIndex(objectNode, object, index) {
+            const name = objectNode.type === 'identifier' ? objectNode.name : null;
+            if (name === 's' || name === 'switch') {
+                return $gameSwitches ? $gameSwitches.value(Number(index)) : false;
+            }
+            if (name === 'v' || name === 'variable') {
+                return $gameVariables ? $gameVariables.value(Number(index)) : (object[index] || 0);
+            }
+            if (Array.isArray(object) && Number.isInteger(index)) {
+                return object[index];
+            }
+            throw new Error('indexing outside v[] and s[]');
+        }
+        
+        static getMember(object, name) {
+            if (object === Math) {
+                if (!this.MATH_MEMBERS.includes(name)) throw new Error(`Math.${name}`);
+                // Keep formula randomness on the seeded AI generator
+                if (name === 'random') return () => AIRandom.next();
+                if (name === 'randomInt') return max => AIRandom.randomInt(max);
+                return Math[name];
+            }
+            if (this.isBattler(object)) {
+                if (!this.BATTLER_PROPERTIES.includes(name) && !this.BATTLER_METHODS.includes(name)) {
+                    throw new Error(`battler member '${name}'`);
                 }
+                return object[name];
+            }
+            if (object instanceof RuleView) {
+                return object.get(name);
+            }
+            if (object === null || object === undefined) {
+                throw new Error(`'${name}' of ${object}`);
+            }
+            if (['constructor', 'prototype', '__proto__'].includes(name) || typeof object[name] === 'function') {
+                throw new Error(`member '${name}'`);
             }
+            return object[name];
+        }
+        
+        static callMember(node, scope) {
+            const object = this.evaluateNode(node.callee.object, scope);
+            const name = node.callee.property;
+            const args = node.args.map(arg => this.evaluateNode(arg, scope));
             
-            // State traits
-            if (battler && battler.states) {
-                const states = battler.states();
-                for (const state of states) {
-                    if (state && state.traits) {
-                        traits = traits.concat(state.traits);
+            if (object === Math || (this.isBattler(object) && this.BATTLER_METHODS.includes(name))) {
+                const method = this.getMember(object, name);
+                if (typeof method !== 'function') throw new Error(`'${name}' is not a method`);
+                return method.apply(object, args);
+            }
+            if (object instanceof RuleView) {
+                return object.call(name, args);
+            }
+            if (Array.isArray(object) && ['includes', 'contains', 'indexOf'].includes(name)) {
+                return object[name](...args);
+            }
+            throw new Error(`call to '${name}'`);
+        }
+        
+        static isBattler(object) {
+            return typeof Game_BattlerBase !== 'undefined' && object instanceof Game_BattlerBase;
+        }
+    }
+    
+    SafeFormulaEvaluator.FORMULA_IDENTIFIERS = ['a', 'b', 'v', 's', 'Math'];
+    
+    SafeFormulaEvaluator.MATH_MEMBERS = [
+        'abs', 'ceil', 'floor', 'round', 'trunc', 'sign', 'max', 'min', 'pow', 'sqrt', 'cbrt',
+        'exp', 'log', 'log10', 'log2', 'random', 'randomInt', 'PI', 'E'
+    ];
+    
+    SafeFormulaEvaluator.BATTLER_PROPERTIES = [
+        'hp', 'mp', 'tp', 'mhp', 'mmp', 'atk', 'def', 'mat', 'mdf', 'agi', 'luk',
+        'hit', 'eva', 'cri', 'cev', 'mev', 'mrf', 'cnt', 'hrg', 'mrg', 'trg',
+        'tgr', 'grd', 'rec', 'pha', 'mcr', 'tcr', 'pdr', 'mdr', 'fdr', 'exr', 'level'
+    ];
+    
+    SafeFormulaEvaluator.BATTLER_METHODS = [
+        'hpRate', 'mpRate', 'tpRate', 'param', 'xparam', 'sparam', 'paramBase', 'paramRate',
+        'isStateAffected', 'isStateResist', 'states', 'buff', 'isBuffAffected', 'isDebuffAffected',
+        'isBuffOrDebuffAffected', 'isMaxBuffAffected', 'isMaxDebuffAffected', 'elementRate',
+        'stateRate', 'debuffRate', 'attackElements', 'isActor', 'isEnemy', 'isAlive', 'isDead',
+        'isDying', 'isGuard', 'isLearnedSkill', 'hasSkill', 'actorId', 'enemyId', 'index',
+        'name', 'skillMpCost', 'skillTpCost', 'hasWeapon', 'hasArmor', 'maxTp'
+    ];
+    
+    // Read-only object exposed to <ai_rule> conditions
+    // Properties are computed on access; methods are called with the rule's arguments.
+    class RuleView {
+        constructor(properties, methods = {}) {
+            this.properties = properties;
+            this.methods = methods;
+        }
+        
+        get(name) {
+            if (Object.prototype.hasOwnProperty.call(this.properties, name)) return this.properties[name]();
+            if (Object.prototype.hasOwnProperty.call(this.methods, name)) return this.methods[name];
+            throw new Error(`unknown member '${name}'`);
+        }
+        
+        call(name, args) {
+            if (!Object.prototype.hasOwnProperty.call(this.methods, name)) throw new Error(`unknown method '${name}'`);
+            return this.methods[name](...args);
+        }
+    }
+    
+    // Enemy notetag rules: <ai_rule: when CONDITION then EFFECT>
+    // Conditions use the formula parser; effects are +N, -N, *N, forbid or forbid skill N.
+    class EnemyRules {
+        // Rules of an enemy, parsed once per database entry
+        static getRules(enemyData) {
+            if (!enemyData) return [];
+            if (!this.cache) this.cache = new Map();
+            if (this.cache.has(enemyData.id)) return this.cache.get(enemyData.id);
+            
+            const rules = [];
+            const pattern = /<ai_rule:\s*when\s+(.+?)\s+then\s+(.+?)\s*>/gi;
+            let match;
+            while ((match = pattern.exec(enemyData.note || '')) !== null) {
+                try {
+                    rules.push({
+                        source: match[0],
+                        condition: SafeFormulaEvaluator.parse(match[1], this.IDENTIFIERS, true),
+                        effect: this.parseEffect(match[2])
+                    });
+                } catch (e) {
+                    if (getPluginParams().debugMode) {
+                        console.log(`Enemy ${enemyData.id}: ignoring ${match[0]} (${e.message})`);
                     }
                 }
             }
             
-            return traits;
+            this.cache.set(enemyData.id, rules);
+            return rules;
         }
         
-        static processTrait(trait, analysis) {
-            if (!trait || !analysis) return;
+        static parseEffect(text) {
+            const score = text.match(/^([+\-*])\s*(\d+(?:\.\d+)?)$/);
+            if (score) {
+                const value = Number(score[2]);
+                return score[1] === '*' ? { type: 'multiply', value: value } :
+                    { type: 'add', value: score[1] === '-' ? -value : value };
+            }
             
-            switch (trait.code) {
-                case 11: // Element Rate
-                    if (!analysis.elementRates[trait.dataId]) {
-                        analysis.elementRates[trait.dataId] = 1.0;
+            const forbid = text.match(/^forbid(?:\s+skill\s+(\d+))?$/i);
+            if (forbid) {
+                return { type: 'forbid', skillId: forbid[1] ? Number(forbid[1]) : null };
+            }
+            
+            throw new Error(`unknown effect '${text}'`);
+        }
+        
+        // Effects of the rules that fire for an evaluated action (any target may satisfy a rule)
+        static evaluate(engine, evaluation) {
+            const rules = this.getRules(engine.enemy.enemy ? engine.enemy.enemy() : null);
+            if (rules.length === 0) return [];
+            
+            const skillId = evaluation.action.skillId;
+            const targets = evaluation.targets && evaluation.targets.length > 0 ? evaluation.targets : [null];
+            const shared = {
+                self: this.createBattlerView(engine, engine.enemy),
+                ally: this.createUnitView(engine, $gameTroop.members().filter(b => b !== engine.enemy)),
+                party: this.createUnitView(engine, $gameParty.members()),
+                skill: this.createSkillView(evaluation.skillAnalysis),
+                turn: $gameTroop.turnCount(),
+                v: $gameVariables ? $gameVariables._data : [],
+                Math: Math
+            };
+            
+            const effects = [];
+            for (const rule of rules) {
+                // Rules aimed at another skill do not touch this one
+                if (rule.effect.type === 'forbid' && rule.effect.skillId !== null && rule.effect.skillId !== skillId) continue;
+                
+                const fires = targets.some(target => {
+                    const scope = Object.assign({ target: target ? this.createBattlerView(engine, target) : undefined }, shared);
+                    try {
+                        return !!SafeFormulaEvaluator.evaluateNode(rule.condition, scope);
+                    } catch (e) {
+                        this.reportError(engine.enemy.enemyId(), rule, e.message);
+                        return false;
                     }
-                    analysis.elementRates[trait.dataId] *= trait.value;
+                });
+                
+                if (fires) {
+                    effects.push(rule.effect);
+                    if (getPluginParams().debugMode) {
+                        console.log(`  Rule fired for ${evaluation.action.skill.name}: ${rule.source}`);
+                    }
+                }
+            }
+            return effects;
+        }
+        
+        // A condition that cannot be evaluated counts as false; it is logged once
+        static reportError(enemyId, rule, reason) {
+            if (!this.reported) this.reported = new Set();
+            const key = `${enemyId}_${rule.source}`;
+            if (this.reported.has(key)) return;
+            this.reported.add(key);
+            
+            if (getPluginParams().debugMode) {
+                console.log(`Enemy ${enemyId}: ${rule.source} treated as false (${reason})`);
+            }
+        }
+        
+        // Score after rule effects, in the order the rules were written
+        static applyEffects(score, effects) {
+            for (const effect of effects) {
+                if (effect.type === 'add') score += effect.value;
+                else if (effect.type === 'multiply') score *= effect.value;
+            }
+            return score;
+        }
+        
+        static isForbidden(effects) {
+            return effects.some(effect => effect.type === 'forbid');
+        }
+        
+        // target / self: projected HP, MP and states for this turn
+        static createBattlerView(engine, battler) {
+            const properties = {
+                hp: () => engine.getProjectedHp(battler),
+                mp: () => engine.getProjectedMp(battler),
+                tp: () => engine.getProjectedTp(battler),
+                hpRate: () => engine.getProjectedHpRate(battler),
+                mpRate: () => battler.mmp > 0 ? engine.getProjectedMp(battler) / battler.mmp : 0,
+                tpRate: () => engine.getProjectedTp(battler) / (battler.maxTp ? battler.maxTp() : 100),
+                isActor: () => battler.isActor(),
+                isEnemy: () => battler.isEnemy(),
+                isDead: () => engine.isProjectedDead(battler),
+                level: () => battler.level || 0
+            };
+            for (const name of ['mhp', 'mmp', 'atk', 'def', 'mat', 'mdf', 'agi', 'luk']) {
+                properties[name] = () => battler[name];
+            }
+            
+            return new RuleView(properties, {
+                state: stateId => engine.isProjectedStateAffected(battler, stateId),
+                buff: paramId => engine.getProjectedBuff(battler, paramId),
+                elementRate: elementId => battler.elementRate(elementId)
+            });
+        }
+        
+        // ally / party: counts and HP of a whole unit
+        static createUnitView(engine, members) {
+            const alive = () => members.filter(b => !engine.isProjectedDead(b) && !(b.isHidden && b.isHidden()));
+            const rates = () => alive().map(b => engine.getProjectedHpRate(b));
+            
+            return new RuleView({
+                count: () => alive().length,
+                dead: () => members.filter(b => engine.isProjectedDead(b)).length,
+                lowestHpRate: () => rates().length > 0 ? Math.min(...rates()) : 0,
+                averageHpRate: () => rates().length > 0 ? rates().reduce((sum, r) => sum + r, 0) / rates().length : 0
+            }, {
+                anyState: stateId => alive().some(b => engine.isProjectedStateAffected(b, stateId))
+            });
+        }
+        
+        static createSkillView(skillAnalysis) {
+            const skill = skillAnalysis.skill;
+            return new RuleView({
+                id: () => skill.id,
+                element: () => skill.damage ? skill.damage.elementId : 0,
+                mpCost: () => skill.mpCost,
+                tpCost: () => skill.tpCost,
+                scope: () => skill.scope,
+                hitType: () => skill.hitType,
+                stype: () => skill.stypeId,
+                isDamage: () => skillAnalysis.categories.isDamage,
+                isHeal: () => skillAnalysis.categories.isHeal,
+                isDrain: () => skillAnalysis.categories.isDrain,
+                isForAll: () => !!skillAnalysis.targeting.all
+            }, {
+                addsState: stateId => skillAnalysis.effects.some(e => e.category === 'state_add' && e.stateId === stateId)
+            });
+        }
+    }
+    
+    EnemyRules.IDENTIFIERS = ['target', 'self', 'ally', 'party', 'skill', 'turn', 'switch', 'variable', 'v', 's', 'Math'];
+    
+    // Boss phases: <ai_phase N: hp<=50% turn>=5 role=dps weights=a,b,c,d skills=1,2 event=N>
+    // The phase number only goes up; it is kept on the battler for the rest of the battle.
+    class EnemyPhases {
+        // Phases of an enemy in ascending order, parsed once per database entry
+        static getPhases(enemyData) {
+            if (!enemyData) return [];
+            if (!this.cache) this.cache = new Map();
+            if (this.cache.has(enemyData.id)) return this.cache.get(enemyData.id);
+            
+            const phases = [];
+            // Conditions may contain '>' themselves, so the tag ends at a '>' followed by a break
+            const pattern = /<ai_phase\s+(\d+):\s*(.*?)\s*>(?=\s|<|$)/gi;
+            let match;
+            while ((match = pattern.exec(enemyData.note || '')) !== null) {
+                const phase = { number: Number(match[1]), conditions: [], role: null, weights: null, skills: null, eventId: 0 };
+                
+                for (const token of match[2].trim().split(/\s+/).filter(t => t)) {
+                    const condition = this.parseCondition(token);
+                    const option = token.match(/^(role|weights|skills|event)=(.+)$/i);
+                    if (condition) {
+                        phase.conditions.push(condition);
+                    } else if (option && option[1].toLowerCase() === 'role') {
+                        phase.role = option[2].toLowerCase();
+                    } else if (option && option[1].toLowerCase() === 'weights') {
+                        const values = option[2].split(',').map(Number);
+                        if (values.length === 4 && values.every(v => !isNaN(v))) {
+                            phase.weights = { survival: values[0], damage: values[1], support: values[2], tactical: values[3] };
+                        }
+                    } else if (option && option[1].toLowerCase() === 'skills') {
+                        phase.skills = option[2].split(',').map(Number).filter(id => id > 0);
+                    } else if (option && option[1].toLowerCase() === 'event') {
+                        phase.eventId = Number(option[2]) || 0;
+                    } else if (getPluginParams().debugMode) {
+                        console.log(`Enemy ${enemyData.id}: ignoring '${token}' in ${match[0]}`);
+                    }
+                }
+                phases.push(phase);
+            }
+            
+            phases.sort((a, b) => a.number - b.number);
+            this.cache.set(enemyData.id, phases);
+            return phases;
+        }
+        
+        // Move to the highest phase whose conditions hold, running its common event once
+        static update(enemy) {
+            if (!enemy || !enemy.enemy || !enemy.isAlive()) return;
+            
+            const current = enemy._aiPhase || 0;
+            const reached = this.getPhases(enemy.enemy()).filter(phase =>
+                phase.number > current && phase.conditions.every(condition => this.isMet(enemy, condition)));
+            if (reached.length === 0) return;
+            
+            const phase = reached[reached.length - 1];
+            enemy._aiPhase = phase.number;
+            if (phase.eventId > 0) {
+                $gameTemp.reserveCommonEvent(phase.eventId);
+            }
+            
+            if (getPluginParams().debugMode) {
+                console.log(`${enemy.name()} enters phase ${phase.number}`);
+            }
+        }
+        
+        // hp<25%, mp>=40, tp=100, turn>=5 or allies<=1 (living troop mates)
+        static parseCondition(token) {
+            const match = token.match(/^(hp|mp|tp|turn|allies)(<=|>=|<|>|=)(\d+(?:\.\d+)?)(%)?$/i);
+            if (!match) return null;
+            return { stat: match[1].toLowerCase(), operator: match[2], value: Number(match[3]), rate: !!match[4] };
+        }
+        
+        static isMet(enemy, condition) {
+            let value;
+            switch (condition.stat) {
+                case 'hp':
+                    value = condition.rate ? enemy.hpRate() * 100 : enemy.hp;
+                    break;
+                case 'mp':
+                    value = condition.rate ? enemy.mpRate() * 100 : enemy.mp;
+                    break;
+                case 'tp':
+                    value = condition.rate ? enemy.tpRate() * 100 : enemy.tp;
+                    break;
+                case 'allies':
+                    value = $gameTroop.aliveMembers().filter(member => member !== enemy).length;
+                    break;
+                default:
+                    value = $gameTroop.turnCount();
+            }
+            
+            switch (condition.operator) {
+                case '<=': return value <= condition.value;
+                case '>=': return value >= condition.value;
+                case '<': return value < condition.value;
+                case '>': return value > condition.value;
+                default: return value === condition.value;
+            }
+        }
+        
+        // Current phase of an enemy, or null before the first one
+        static getCurrentPhase(enemy) {
+            if (!enemy || !enemy._aiPhase || !enemy.enemy) return null;
+            return this.getPhases(enemy.enemy()).find(phase => phase.number === enemy._aiPhase) || null;
+        }
+        
+        // Action list of an enemy: the phase skill pool if one is set, the database list otherwise
+        static getActionList(enemy) {
+            const actions = enemy.enemy().actions || [];
+            const phase = this.getCurrentPhase(enemy);
+            if (!phase || !phase.skills) return actions;
+            
+            // Database entries keep their rating and conditions; other skills are always valid
+            return phase.skills.map(skillId => actions.find(action => action.skillId === skillId) ||
+                { skillId: skillId, rating: 5, conditionType: 0, conditionParam1: 0, conditionParam2: 0 });
+        }
+    }
+    
+    // Scripted openers: <ai_sequence: 5,5,12 loop interruptible>
+    // Each action the enemy takes uses the next step; progress is kept on the battler
+    // and moves on when the action carrying the step starts.
+    class EnemySequence {
+        // Sequence of an enemy, parsed once per database entry (null if it has none)
+        static getSequence(enemyData) {
+            if (!enemyData) return null;
+            if (!this.cache) this.cache = new Map();
+            if (this.cache.has(enemyData.id)) return this.cache.get(enemyData.id);
+            
+            let sequence = null;
+            const match = (enemyData.note || '').match(/<ai_sequence:\s*([\d\s,]+?)((?:\s+(?:loop|interruptible))*)\s*>/i);
+            if (match) {
+                const skills = match[1].split(',').map(Number).filter(id => id > 0);
+                const flags = match[2].toLowerCase();
+                if (skills.length > 0) {
+                    sequence = { skills: skills, loop: flags.includes('loop'), interruptible: flags.includes('interruptible') };
+                }
+            }
+            
+            this.cache.set(enemyData.id, sequence);
+            return sequence;
+        }
+        
+        // Skill of a step (the enemy's current one by default), or 0 once a sequence without loop has finished
+        static getStep(enemy, index = enemy._aiSequenceIndex || 0) {
+            const sequence = enemy.enemy ? this.getSequence(enemy.enemy()) : null;
+            if (!sequence) return 0;
+            
+            if (index >= sequence.skills.length && !sequence.loop) return 0;
+            return sequence.skills[index % sequence.skills.length];
+        }
+        
+        static getNextIndex(enemy, index) {
+            const sequence = this.getSequence(enemy.enemy());
+            return sequence.loop ? (index + 1) % sequence.skills.length : index + 1;
+        }
+        
+        static isInterruptible(enemy) {
+            const sequence = enemy.enemy ? this.getSequence(enemy.enemy()) : null;
+            return !!(sequence && sequence.interruptible);
+        }
+    }
+    
+    // Per-enemy parameter overrides: <ai_weights: survival=0.6 damage=0.2> and <ai_param: healingThreshold=0.3>
+    class EnemyParams {
+        // Overrides of an enemy, parsed once per database entry
+        static getOverrides(enemyData) {
+            if (!enemyData) return {};
+            if (!this.cache) this.cache = new Map();
+            if (this.cache.has(enemyData.id)) return this.cache.get(enemyData.id);
+            
+            const globals = getPluginParams();
+            const overrides = {};
+            const note = enemyData.note || '';
+            const pattern = /<ai_(weights|param):\s*([^>]*)>/gi;
+            let match;
+            while ((match = pattern.exec(note)) !== null) {
+                for (const pair of match[2].trim().split(/[\s,]+/).filter(p => p)) {
+                    const [key, value] = pair.split('=');
+                    // Weight names are short for the matching ...Weight parameter
+                    const name = match[1].toLowerCase() === 'weights' ? `${key}Weight` : key;
+                    const parsed = this.parseValue(globals[name], value);
+                    
+                    if (parsed === undefined) {
+                        if (globals.debugMode) {
+                            console.log(`Enemy ${enemyData.id}: ignoring '${pair}' in ${match[0]}`);
+                        }
+                        continue;
+                    }
+                    overrides[name] = parsed;
+                }
+            }
+            
+            this.cache.set(enemyData.id, overrides);
+            return overrides;
+        }
+        
+        // Value converted to the type of the global parameter (undefined if it does not fit)
+        static parseValue(current, value) {
+            if (current === undefined || value === undefined) return undefined;
+            if (typeof current === 'boolean') {
+                return value === 'true' ? true : value === 'false' ? false : undefined;
+            }
+            if (typeof current === 'number') {
+                return value !== '' && !isNaN(Number(value)) ? Number(value) : undefined;
+            }
+            if (Array.isArray(current)) {
+                const values = value.split('/').map(Number);
+                return values.length === current.length && values.every(v => !isNaN(v)) ? values : undefined;
+            }
+            return undefined;
+        }
+    }
+    
+    // Troop configuration from the troop name or an event comment:
+    // <ai_doctrine: focus|spread|protect|attrition|alpha> and <ai_difficulty: 0-2>
+    class TroopDoctrine {
+        // Settings of a troop, parsed once per database entry
+        static getSettings(troop) {
+            if (!troop) return { doctrine: 'balanced', difficultyMode: undefined };
+            if (!this.cache) this.cache = new Map();
+            if (this.cache.has(troop.id)) return this.cache.get(troop.id);
+            
+            // The troop name and every comment on its event pages
+            const texts = [troop.name || ''];
+            for (const page of troop.pages || []) {
+                for (const command of page.list || []) {
+                    if (command.code === 108 || command.code === 408) {
+                        texts.push(command.parameters[0] || '');
+                    }
+                }
+            }
+            const text = texts.join('\n');
+            
+            const settings = { doctrine: 'balanced', difficultyMode: undefined };
+            const doctrine = text.match(/<ai_doctrine:\s*(\w+)[^>]*>/i);
+            if (doctrine && this.DOCTRINES.includes(doctrine[1].toLowerCase())) {
+                settings.doctrine = doctrine[1].toLowerCase();
+            }
+            const difficulty = text.match(/<ai_difficulty:\s*(\w+)\s*>/i);
+            if (difficulty) {
+                const names = ['story', 'adaptive', 'masochist'];
+                const mode = names.includes(difficulty[1].toLowerCase()) ?
+                    names.indexOf(difficulty[1].toLowerCase()) : Number(difficulty[1]);
+                if (mode >= 0 && mode <= 2) {
+                    settings.difficultyMode = mode;
+                }
+            }
+            
+            this.cache.set(troop.id, settings);
+            return settings;
+        }
+        
+        static getCurrentSettings() {
+            return this.getSettings($gameTroop && $gameTroop.troop ? $gameTroop.troop() : null);
+        }
+        
+        static getDoctrine() {
+            return this.getCurrentSettings().doctrine;
+        }
+        
+        // Difficulty mode set by the troop in battle (undefined if it has none, or outside battle)
+        static getDifficultyOverride() {
+            if (!$gameParty || !$gameParty.inBattle()) return undefined;
+            return this.getCurrentSettings().difficultyMode;
+        }
+        
+        // The enemy marked <ai_leader>, otherwise the living member with the highest max HP
+        static getLeader() {
+            const members = $gameTroop.aliveMembers();
+            const tagged = members.find(enemy => /<ai_leader>/i.test(enemy.enemy().note || ''));
+            if (tagged) return tagged;
+            return members.reduce((best, enemy) => !best || enemy.mhp > best.mhp ? enemy : best, null);
+        }
+    }
+    
+    TroopDoctrine.DOCTRINES = ['balanced', 'focus', 'spread', 'protect', 'attrition', 'alpha'];
+    
+    // Retreat: <ai_flee: hp<25% chance=60%> tags, built-in flight without an escape
+    // skill, and a record of who fled from which troop for later encounters.
+    class EnemyFlee {
+        // Flee tags of an enemy, parsed once per database entry
+        static getRules(enemyData) {
+            if (!enemyData) return [];
+            if (!this.cache) this.cache = new Map();
+            if (this.cache.has(enemyData.id)) return this.cache.get(enemyData.id);
+            
+            const rules = [];
+            // Conditions may contain '>' themselves, so the tag ends at a '>' followed by a break
+            const pattern = /<ai_flee:\s*(.*?)\s*>(?=\s|<|$)/gi;
+            let match;
+            while ((match = pattern.exec(enemyData.note || '')) !== null) {
+                const rule = { conditions: [], chance: 1 };
+                for (const token of match[1].split(/\s+/).filter(t => t)) {
+                    const condition = EnemyPhases.parseCondition(token);
+                    const chance = token.match(/^chance=(\d+(?:\.\d+)?)%?$/i);
+                    if (condition) {
+                        rule.conditions.push(condition);
+                    } else if (chance) {
+                        rule.chance = Math.min(1, Number(chance[1]) / 100);
+                    } else if (getPluginParams().debugMode) {
+                        console.log(`Enemy ${enemyData.id}: ignoring '${token}' in ${match[0]}`);
+                    }
+                }
+                rules.push(rule);
+            }
+            
+            this.cache.set(enemyData.id, rules);
+            return rules;
+        }
+        
+        // Replace the enemy's actions with a flight that needs no escape skill.
+        // It is forced so that neither an unusable Guard nor confusion can turn it into something else.
+        static prepareFlight(enemy) {
+            const action = new Game_Action(enemy, true);
+            action.setGuard();
+            action._aiFlee = true;
+            enemy.clearActions();
+            enemy._actions.push(action);
+        }
+        
+        static flee(enemy) {
+            enemy._aiFled = true;
+            this.recordFlight(enemy);
+            enemy.escape();
+        }
+        
+        // Remember the flight for this troop, in battle memory and across battles
+        static recordFlight(enemy) {
+            const troopId = $gameTroop._troopId;
+            const memory = $gameTemp._enemyAIMemory ? $gameTemp._enemyAIMemory[enemy.index()] : null;
+            if (memory) {
+                memory.fled = true;
+            }
+            
+            const flights = $globalAIMemory.fledEnemies = $globalAIMemory.fledEnemies || {};
+            const troop = flights[troopId] = flights[troopId] || {};
+            troop[enemy.enemyId()] = (troop[enemy.enemyId()] || 0) + 1;
+        }
+        
+        // Times this enemy has fled from the current troop in earlier battles
+        static getPastFlights(enemy) {
+            const flights = $globalAIMemory.fledEnemies;
+            const troop = flights ? flights[$gameTroop._troopId] : null;
+            return troop ? troop[enemy.enemyId()] || 0 : 0;
+        }
+        
+        // Fellow troop members that died or fled
+        static getFallenAllies(enemy) {
+            return $gameTroop.members().filter(member => member !== enemy && (member.isDead() || member._aiFled)).length;
+        }
+    }
+    
+    // Runs actions on copies of the battlers without touching the live battle
+    class ActionSimulator {
+        static isActive() {
+            return this._depth > 0;
+        }
+        
+        // Apply an item from subject to target on copies and read back the result
+        static simulate(item, subject, target, prepare) {
+            if (!item || !subject || !target || typeof JsonEx === 'undefined') return null;
+            
+            const action = new Game_Action(subject);
+            action.setItemObject(item);
+            const isDamage = item.damage && item.damage.type > 0;
+            
+            let subjectCopy, targetCopy, targetBefore, subjectBefore, chances;
+            let damageValue = 0;
+            let escaped = false;
+            const random = Math.random;
+            let baseValue = 0;
+            let elementRate = 1;
+            this._depth = (this._depth || 0) + 1;
+            Math.random = () => AIRandom.next();
+            try {
+                subjectCopy = this.copyBattler(subject, prepare);
+                targetCopy = target === subject ? subjectCopy : this.copyBattler(target, prepare);
+                this.isolateAction(action, subjectCopy, {
+                    onDamage: value => { damageValue = value; },
+                    onEscape: () => { escaped = true; }
+                });
+                
+                targetBefore = this.snapshot(targetCopy);
+                subjectBefore = this.snapshot(subjectCopy);
+                chances = this.getEffectChances(action, subjectCopy, targetCopy);
+                
+                if (isDamage) {
+                    baseValue = action.evalDamageFormula(targetCopy);
+                    elementRate = action.calcElementRate(targetCopy);
+                }
+                action.apply(targetCopy);
+            } catch (e) {
+                if (getPluginParams().debugMode) {
+                    console.log(`Simulation of ${item.name} failed: ${e.message}`);
+                }
+                return null;
+            } finally {
+                Math.random = random;
+                this._depth--;
+            }
+            
+            const result = targetCopy.result();
+            const targetAfter = this.snapshot(targetCopy);
+            const subjectAfter = this.snapshot(subjectCopy);
+            
+            return {
+                used: result.used,
+                baseValue: baseValue,
+                elementRate: elementRate,
+                damageValue: damageValue,
+                hpChange: targetAfter.hp - targetBefore.hp,
+                mpChange: targetAfter.mp - targetBefore.mp,
+                tpChange: targetAfter.tp - targetBefore.tp,
+                subjectHpChange: subjectAfter.hp - subjectBefore.hp,
+                subjectMpChange: subjectAfter.mp - subjectBefore.mp,
+                subjectTpChange: subjectAfter.tp - subjectBefore.tp,
+                addedStates: result.addedStates.map(stateId => ({ stateId: stateId, chance: chances.addState[stateId] ?? 1 })),
+                removedStates: result.removedStates.map(stateId => ({ stateId: stateId, chance: chances.removeState[stateId] ?? 1 })),
+                buffChanges: targetAfter.buffs.map((level, paramId) => level - targetBefore.buffs[paramId]),
+                debuffChances: chances.addDebuff,
+                escaped: escaped
+            };
+        }
+        
+        // Deep copy of a battler that still answers index() like the original
+        static copyBattler(battler, prepare) {
+            const copy = JsonEx.makeDeepCopy(battler);
+            copy.index = () => battler.index();
+            
+            // An actor copy's refresh would drop unequippable gear into the real party's inventory
+            copy.releaseUnequippableItems = () => {};
+            copy.tradeItemWithParty = () => false;
+            if (prepare) prepare(battler, copy);
+            return copy;
+        }
+        
+        // Replace everything on the action that rolls dice or reaches outside the copies
+        static isolateAction(action, subjectCopy, callbacks) {
+            action.subject = () => subjectCopy;
+            
+            // Always hit without a critical or variance; the scorers weigh those themselves
+            action.itemHit = () => 1;
+            action.itemEva = () => 0;
+            action.itemCri = () => 0;
+            action.applyVariance = damage => damage;
+            
+            const executeDamage = action.executeDamage;
+            action.executeDamage = function(target, value) {
+                callbacks.onDamage(value);
+                executeDamage.call(this, target, value);
+            };
+            
+            // Chance-based effects always land; their chances are reported separately
+            const applyItemEffect = action.applyItemEffect;
+            action.applyItemEffect = function(target, effect) {
+                const random = Math.random;
+                Math.random = () => 0;
+                try {
+                    applyItemEffect.call(this, target, effect);
+                } finally {
+                    Math.random = random;
+                }
+            };
+            
+            action.itemEffectSpecial = (target, effect) => {
+                if (effect.dataId === 0) callbacks.onEscape();
+            };
+            action.itemEffectCommonEvent = () => {};
+            action.updateLastTarget = () => {};
+        }
+        
+        // Chances of the state and debuff effects, as rolled by Game_Action
+        static getEffectChances(action, subject, target) {
+            const chances = { addState: {}, removeState: {}, addDebuff: {} };
+            const clamp = value => Math.max(0, Math.min(1, value));
+            const lukRate = action.lukEffectRate(target);
+            
+            for (const effect of action.item().effects || []) {
+                if (effect.code === 21 && effect.dataId === 0) {
+                    for (const stateId of subject.attackStates()) {
+                        chances.addState[stateId] = clamp(effect.value1 * target.stateRate(stateId) *
+                            subject.attackStatesRate(stateId) * lukRate);
+                    }
+                } else if (effect.code === 21) {
+                    let chance = effect.value1;
+                    if (!action.isCertainHit()) {
+                        chance *= target.stateRate(effect.dataId) * lukRate;
+                    }
+                    chances.addState[effect.dataId] = clamp(chance);
+                } else if (effect.code === 22) {
+                    chances.removeState[effect.dataId] = clamp(effect.value1);
+                } else if (effect.code === 32) {
+                    chances.addDebuff[effect.dataId] = clamp(target.debuffRate(effect.dataId) * lukRate);
+                }
+            }
+            
+            return chances;
+        }
+        
+        static snapshot(battler) {
+            return {
+                hp: battler.hp,
+                mp: battler.mp,
+                tp: battler.tp,
+                buffs: battler._buffs ? battler._buffs.slice() : [0, 0, 0, 0, 0, 0, 0, 0]
+            };
+        }
+    }
+    
+    // Enhanced Trait Analyzer
+    class TraitAnalyzer {
+        static analyzeBattler(battler) {
+            if (!battler) return this.getDefaultAnalysis();
+            
+            const analysis = this.getDefaultAnalysis();
+            
+            // Get all traits from all sources
+            const traits = this.getAllTraits(battler);
+            
+            // Process each trait
+            for (const trait of traits) {
+                this.processTrait(trait, analysis);
+            }
+            
+            // Calculate final parameters
+            this.calculateFinalParams(battler, analysis);
+            
+            return analysis;
+        }
+        
+        static getDefaultAnalysis() {
+            return {
+                params: {},
+                exParams: {},
+                spParams: {},
+                elementRates: {},
+                debuffRates: {},
+                stateRates: {},
+                stateResists: [],
+                attackElements: [],
+                attackStates: [],
+                attackSpeed: 0,
+                attackTimes: 0,
+                actionTimes: 0,
+                specialFlags: [],
+                partyAbilities: [],
+                sealedSkillTypes: [],
+                sealedSkills: [],
+                addedSkillTypes: [],
+                addedSkills: [],
+                weaponTypes: [],
+                armorTypes: [],
+                fixedEquips: [],
+                sealedEquips: [],
+                slotTypes: []
+            };
+        }
+        
+        static getAllTraits(battler) {
+            let traits = [];
+            
+            // Base traits
+            if (battler && battler.traits) {
+                traits = traits.concat(battler.traits());
+            }
+            
+            // Actor-specific traits
+            if (battler && battler.isActor && battler.isActor()) {
+                // Actor data traits
+                if (battler.actor && battler.actor().traits) {
+                    traits = traits.concat(battler.actor().traits);
+                }
+                
+                // Class traits
+                if (battler.currentClass && battler.currentClass() && battler.currentClass().traits) {
+                    traits = traits.concat(battler.currentClass().traits);
+                }
+                
+                // Equipment traits
+                if (battler.equips) {
+                    const equips = battler.equips();
+                    for (const item of equips) {
+                        if (item && item.traits) {
+                            traits = traits.concat(item.traits);
+                        }
+                    }
+                }
+            } else if (battler && battler.isEnemy && battler.isEnemy()) {
+                // Enemy traits
+                if (battler.enemy && battler.enemy().traits) {
+                    traits = traits.concat(battler.enemy().traits);
+                }
+            }
+            
+            // State traits
+            if (battler && battler.states) {
+                const states = battler.states();
+                for (const state of states) {
+                    if (state && state.traits) {
+                        traits = traits.concat(state.traits);
+                    }
+                }
+            }
+            
+            return traits;
+        }
+        
+        static processTrait(trait, analysis) {
+            if (!trait || !analysis) return;
+            
+            switch (trait.code) {
+                case 11: // Element Rate
+                    if (!analysis.elementRates[trait.dataId]) {
+                        analysis.elementRates[trait.dataId] = 1.0;
+                    }
+                    analysis.elementRates[trait.dataId] *= trait.value;
                     break;
                     
                 case 12: // Debuff Rate
@@ -929,8 +2445,7 @@
                     uses: 0,
                     successRate: 0,
                     avgDamage: 0,
-                    preferredTargets: {},
-                    commonFollowUps: {}
+                    preferredTargets: {}
                 };
             }
             
@@ -950,71 +2465,241 @@
             if (result && result.damage > 0) {
                 skillData.avgDamage = (skillData.avgDamage * (skillData.uses - 1) + result.damage) / skillData.uses;
             }
+        }
+        
+        // Next-action model per actor: how often each skill followed the last one or two
+        // skills this battle, and how often it was used in a given situation
+        static getModel(actor) {
+            const profile = $globalAIMemory.playerProfile;
+            if (!profile.actorModels) {
+                profile.actorModels = {};
+            }
+            if (!profile.actorModels[actor.actorId()]) {
+                profile.actorModels[actor.actorId()] = { uses: {}, contexts: {}, first: {}, second: {} };
+            }
+            return profile.actorModels[actor.actorId()];
+        }
+        
+        // Situation an actor decides in: own HP band, party HP band and whether it has states
+        static getContext(actor) {
+            const band = rate => rate < 0.3 ? 'low' : rate < 0.6 ? 'mid' : 'high';
+            const party = $gameParty.aliveMembers();
+            const partyRate = party.length > 0 ?
+                party.reduce((sum, member) => sum + member.hp / member.mhp, 0) / party.length : 0;
+            const states = actor.states().some(state => state.id !== actor.deathStateId()) ? 'states' : 'clear';
+            return `${band(actor.hp / actor.mhp)}/${band(partyRate)}/${states}`;
+        }
+        
+        // Skills each actor used this battle, most recent last
+        static getHistory(actor) {
+            if (!$gameTemp._aiActionHistory) {
+                $gameTemp._aiActionHistory = {};
+            }
+            if (!$gameTemp._aiActionHistory[actor.actorId()]) {
+                $gameTemp._aiActionHistory[actor.actorId()] = [];
+            }
+            return $gameTemp._aiActionHistory[actor.actorId()];
+        }
+        
+        static resetHistory() {
+            $gameTemp._aiActionHistory = {};
+        }
+        
+        static count(table, key, skillId) {
+            if (!table[key]) {
+                table[key] = {};
+            }
+            table[key][skillId] = (table[key][skillId] || 0) + 1;
+        }
+        
+        // Record a skill an actor starts to use
+        static recordAction(actor, item) {
+            if (!actor || !actor.isActor || !actor.isActor() || !DataManager.isSkill(item)) return;
+            
+            const model = this.getModel(actor);
+            const history = this.getHistory(actor);
+            const previous = history[history.length - 1];
+            const beforePrevious = history[history.length - 2];
             
-            // Update turn patterns
-            const currentTurn = $gameTroop.turnCount();
-            if (!profile.turnPatterns[currentTurn]) {
-                profile.turnPatterns[currentTurn] = [];
+            model.uses[item.id] = (model.uses[item.id] || 0) + 1;
+            this.count(model.contexts, this.getContext(actor), item.id);
+            if (previous !== undefined) {
+                this.count(model.first, previous, item.id);
+            }
+            if (beforePrevious !== undefined) {
+                this.count(model.second, `${beforePrevious}>${previous}`, item.id);
+            }
+            
+            history.push(item.id);
+            if (history.length > 2) {
+                history.shift();
             }
-            profile.turnPatterns[currentTurn].push({
-                actor: subject.name(),
-                skill: skillId,
-                target: target ? target.name() : null
-            });
         }
         
+        // Distribution over the actor's next skill, with how far it can be trusted.
+        // Each order is Laplace smoothed and blended in by how much evidence it has:
+        // second order over first order over situation over overall use.
         static predictNextAction(actor) {
             if (!actor) return null;
             
-            const profile = $globalAIMemory.playerProfile;
-            const currentTurn = $gameTroop.turnCount();
-            
-            // Check for patterns in previous battles
-            const patternTurn = currentTurn % 5; // Look for 5-turn patterns
-            if (profile.turnPatterns[patternTurn]) {
-                const patterns = profile.turnPatterns[patternTurn].filter(p => p.actor === actor.name());
-                if (patterns.length > 0) {
-                    // Find most common pattern
-                    const skillCounts = {};
-                    for (const pattern of patterns) {
-                        if (!skillCounts[pattern.skill]) {
-                            skillCounts[pattern.skill] = 0;
-                        }
-                        skillCounts[pattern.skill]++;
-                    }
+            const candidates = new Set((actor.usableSkills ? actor.usableSkills() : actor.skills()).map(skill => skill.id));
+            candidates.add(actor.attackSkillId ? actor.attackSkillId() : 1);
+            candidates.add(actor.guardSkillId ? actor.guardSkillId() : 2);
+            const skillIds = [...candidates];
+            
+            const model = this.getModel(actor);
+            const history = this.getHistory(actor);
+            const previous = history[history.length - 1];
+            const beforePrevious = history[history.length - 2];
+            const tables = [
+                model.uses,
+                model.contexts[this.getContext(actor)],
+                previous !== undefined ? model.first[previous] : null,
+                beforePrevious !== undefined ? model.second[`${beforePrevious}>${previous}`] : null
+            ];
                     
-                    // Return most likely skill
-                    let maxCount = 0;
-                    let likelySkill = null;
-                    for (const [skillId, count] of Object.entries(skillCounts)) {
-                        if (count > maxCount) {
-                            maxCount = count;
-                            likelySkill = Number(skillId);
-                        }
-                    }
+            // Evidence is blended the same way, so it counts the observations behind the final distribution
+            let probabilities = skillIds.map(() => 1 / skillIds.length);
+            let evidence = 0;
+            for (const table of tables) {
+                if (!table) continue;
+                const counts = skillIds.map(skillId => table[skillId] || 0);
+                const total = counts.reduce((sum, value) => sum + value, 0);
+                if (total === 0) continue;
                     
-                    return likelySkill;
-                }
+                const weight = total / (total + 2);
+                probabilities = probabilities.map((p, i) =>
+                    weight * (counts[i] + 1) / (total + skillIds.length) + (1 - weight) * p);
+                evidence = weight * total + (1 - weight) * evidence;
+            }
+            
+            // Trust grows with that evidence and with how peaked the distribution is
+            let confidence = evidence / (evidence + 5);
+            if (skillIds.length > 1) {
+                const entropy = -probabilities.reduce((sum, p) => sum + (p > 0 ? p * Math.log(p) : 0), 0);
+                confidence *= 1 - 0.5 * entropy / Math.log(skillIds.length);
+            }
+            
+            const distribution = skillIds
+                .map((skillId, i) => ({ skillId: skillId, probability: probabilities[i] }))
+                .sort((a, b) => b.probability - a.probability);
+            
+            return {
+                skillId: distribution[0].skillId,
+                distribution: distribution,
+                confidence: confidence
+            };
+        }
+        
+        // A few likely next skills, hedged toward the normal attack when the model is unsure
+        static getLikelyActions(actor, filter = null, limit = 3) {
+            const attackId = actor.attackSkillId ? actor.attackSkillId() : 1;
+            const prediction = this.predictNextAction(actor);
+            if (!prediction) return [{ skillId: attackId, probability: 1 }];
+            
+            const likely = prediction.distribution
+                .filter(entry => entry.probability >= 0.15 && (!filter || filter(entry.skillId)))
+                .slice(0, limit);
+            const options = likely.map(entry => ({
+                skillId: entry.skillId,
+                probability: entry.probability * prediction.confidence
+            }));
+            
+            const attack = options.find(option => option.skillId === attackId);
+            const hedge = 1 - prediction.confidence;
+            if (attack) {
+                attack.probability += hedge;
+            } else {
+                options.push({ skillId: attackId, probability: hedge });
+            }
+            
+            const total = options.reduce((sum, option) => sum + option.probability, 0);
+            return options.filter(option => option.probability > 0)
+                .map(option => ({ skillId: option.skillId, probability: total > 0 ? option.probability / total : 1 }));
+        }
+    }
+    
+    // Hate Table
+    // Troop-wide hate per actor for the current battle: damage, healing and debuffs
+    // against the troop raise it, <ai_hate: N> skills add to it and it decays every turn.
+    class HateTable {
+        static getTable() {
+            if (!$gameTemp._aiHateTable) {
+                $gameTemp._aiHateTable = {};
+            }
+            return $gameTemp._aiHateTable;
+        }
+        
+        static reset() {
+            $gameTemp._aiHateTable = {};
+        }
+        
+        static add(actor, amount) {
+            if (!actor || !actor.isActor || !actor.isActor() || !amount) return;
+            const table = this.getTable();
+            table[actor.actorId()] = Math.max(0, (table[actor.actorId()] || 0) + amount);
+        }
+        
+        // Hate from the result of one action on one target
+        static recordResult(subject, target) {
+            if (!subject || !subject.isActor || !subject.isActor() || !target) return;
+            
+            const result = target.result();
+            if (target.isEnemy()) {
+                const debuffs = result.addedStates.length + result.addedDebuffs.length;
+                this.add(subject, Math.max(0, result.hpDamage) + debuffs * this.DEBUFF_HATE);
+            } else if (result.hpDamage < 0) {
+                // Healing draws half the attention of damage
+                this.add(subject, -result.hpDamage * 0.5);
+            }
+        }
+        
+        // Flat hate from an <ai_hate: N> tag on the skill or item used (provoke)
+        static recordItem(subject, item) {
+            const match = item && item.note ? item.note.match(/<ai_hate:\s*([+-]?\d+)\s*>/i) : null;
+            if (match) {
+                this.add(subject, Number(match[1]));
             }
-            
-            // Check HP-based patterns
-            const hpRatio = actor.hp / actor.mhp;
-            if (hpRatio < 0.3) {
-                // Look for healing patterns
-                for (const [skillId, data] of Object.entries(profile.skillUsage)) {
-                    const skill = $dataSkills[Number(skillId)];
-                    if (skill && skill.damage && skill.damage.type < 0) { // Healing
-                        if (data.preferredTargets && data.preferredTargets['ally'] > 5) {
-                            return Number(skillId);
-                        }
-                    }
-                }
+        }
+        
+        static decay(rate) {
+            const table = this.getTable();
+            for (const actorId of Object.keys(table)) {
+                table[actorId] *= rate;
             }
-            
-            return null;
+        }
+        
+        // Hate of an actor relative to the most hated one (0-1), scaled by its target rate
+        static getShare(actor) {
+            if (!actor || !actor.isActor || !actor.isActor()) return 0;
+            const table = this.getTable();
+            const max = Math.max(0, ...Object.values(table));
+            if (max <= 0) return 0;
+            return ((table[actor.actorId()] || 0) / max) * (actor.tgr ?? 1);
+        }
+        
+        static hasHate() {
+            return Object.values(this.getTable()).some(value => value > 0);
+        }
+        
+        // Battlers under a state tagged <ai_taunt>
+        static isTaunting(battler) {
+            return !!(battler && battler.states && battler.states().some(state => /<ai_taunt>/i.test(state.note || '')));
         }
     }
     
+    HateTable.DEBUFF_HATE = 30;
+    
+    // How strongly each <ai_personality> follows the hate table
+    HateTable.PERSONALITIES = {
+        cowardly: 0.5,
+        calm: 0.5,
+        balanced: 1.0,
+        aggressive: 1.5,
+        berserk: 2.5,
+        cunning: 0.2
+    };
+    
     // State Analyzer
     class StateAnalyzer {
         static categorizeState(state) {
@@ -1088,6 +2773,53 @@
             return value;
         }
         
+        // Harm a state still does to its bearer over its remaining turns: lost actions,
+        // slip damage, lowered parameters and raised damage taken
+        static getHarmValue(state, target) {
+            if (!state || !target) return 0;
+            
+            let perTurn = state.restriction >= 4 ? 40 : state.restriction >= 1 ? 25 : 0;
+            for (const trait of state.traits || []) {
+                if (trait.code === 22 && trait.dataId === 7 && trait.value < 0) {
+                    perTurn += -trait.value * 100; // HP regeneration below zero
+                } else if (trait.code === 21 && trait.value < 1) {
+                    perTurn += (1 - trait.value) * 30;
+                } else if (trait.code === 22 && trait.dataId <= 6 && trait.value < 0) {
+                    perTurn += -trait.value * 50;
+                } else if (trait.code === 23 && (trait.dataId === 6 || trait.dataId === 7) && trait.value > 1) {
+                    perTurn += (trait.value - 1) * 40;
+                } else if (trait.code === 42 || trait.code === 44) {
+                    perTurn += 20; // Sealed skills
+                }
+            }
+            
+            return perTurn * Math.min(this.estimateRemainingTurns(state, target), 5);
+        }
+        
+        // Benefit a state still gives its bearer over its remaining turns
+        static getBenefitValue(state, target) {
+            if (!state || !target) return 0;
+            
+            let perTurn = 0;
+            for (const trait of state.traits || []) {
+                if (trait.code === 22 && trait.dataId >= 7 && trait.value > 0) {
+                    perTurn += trait.value * 100; // HP/MP/TP regeneration
+                } else if (trait.code === 21 && trait.value > 1) {
+                    perTurn += (trait.value - 1) * 30;
+                } else if (trait.code === 22 && trait.dataId <= 6 && trait.value > 0) {
+                    perTurn += trait.value * 50;
+                } else if (trait.code === 23 && (trait.dataId === 6 || trait.dataId === 7) && trait.value < 1) {
+                    perTurn += (1 - trait.value) * 40;
+                } else if (trait.code === 62 && trait.dataId === 1) {
+                    perTurn += 20; // Guard
+                } else if (trait.code === 14) {
+                    perTurn += 10; // State immunity
+                }
+            }
+            
+            return perTurn * Math.min(this.estimateRemainingTurns(state, target), 5);
+        }
+        
         static calculateSlipDamage(state, target) {
             if (!state || !target) return 0;
             
@@ -1150,73 +2882,718 @@
             if (wasHealed) pattern.healingReceived += damage;
             pattern.averageDamage = pattern.damageDealt / pattern.turns;
             
-            this.combatPatterns[target.name()] = pattern;
+            this.combatPatterns[target.name()] = pattern;
+            
+            // Detect stalemate
+            const sustainRatio = pattern.healingReceived / Math.max(pattern.damageDealt, 1);
+            if (sustainRatio > 0.8 && pattern.turns > 5) {
+                this.stalemateTurns++;
+            } else {
+                this.stalemateTurns = Math.max(0, this.stalemateTurns - 1);
+            }
+        }
+        
+        // params are the deciding enemy's, so <ai_param> can set its threshold
+        getStrategyAdjustments(params) {
+            const inStalemate = this.stalemateTurns > params.antiExploitThreshold;
+            const highSustainTargets = [];
+            
+            // Identify high sustain targets
+            for (const [name, pattern] of Object.entries(this.combatPatterns)) {
+                if (pattern.healingReceived / Math.max(pattern.damageDealt, 1) > 0.7) {
+                    highSustainTargets.push(name);
+                }
+            }
+            
+            return {
+                inStalemate: inStalemate,
+                prioritizeCC: inStalemate,
+                prioritizeStatus: inStalemate,
+                prioritizeDebuffs: inStalemate,
+                avoidHighSustainTargets: highSustainTargets,
+                strategyMultipliers: {
+                    damage: inStalemate ? 0.7 : 1.0,
+                    tactical: inStalemate ? 1.5 : 1.0,
+                    burst: inStalemate ? 1.3 : 1.0,
+                    lowHPBonus: inStalemate ? 1.5 : 1.0
+                }
+            };
+        }
+        
+        reset() {
+            this.combatPatterns = {};
+            this.stalemateTurns = 0;
+            this.currentStrategy = 'balanced';
+        }
+    }
+    
+    // Evolution Integration Helper
+    class EvolutionIntegration {
+        static getEvolutionData(enemyId) {
+            return window.$enemyEvolutionData ? 
+                window.$enemyEvolutionData[enemyId] : null;
+        }
+
+        static getEvolvedSkills(enemy) {
+            if (!enemy || !enemy._enemyId) return [];
+            const evoData = this.getEvolutionData(enemy._enemyId);
+            return evoData && evoData.skills ? evoData.skills : [];
+        }
+
+        static isEvolvedEnemy(enemy) {
+            if (!enemy || !enemy._enemyId) return false;
+            const evoData = this.getEvolutionData(enemy._enemyId);
+            if (!evoData) return false;
+
+            return (evoData.skills && evoData.skills.length > 0) ||
+                   (evoData.customTraits && evoData.customTraits.length > 0) ||
+                   (evoData.databaseTraits && evoData.databaseTraits.length > 0) ||
+                   Object.values(evoData.paramBoosts || {}).some(boost => boost > 0);
+        }
+    }
+    
+    // Light model of the battle shared by the <ai_search> modes
+    // A snapshot maps each battler to its HP, MP, TP, state turns and buff levels.
+    // Actions are applied with the engine's damage distributions and skill analysis.
+    class SearchModel {
+        constructor(engine) {
+            const params = engine.getParams();
+            this.engine = engine;
+            this.enemy = engine.enemy;
+            this.timeBudget = params.searchTimeBudget;
+            this.startTime = 0;
+            this.replyCache = new Map();
+            this.stats = new Map();
+        }
+        
+        isOutOfTime() {
+            return this.timeBudget > 0 && performance.now() - this.startTime > this.timeBudget;
+        }
+        
+        createSnapshot() {
+            const snapshot = new Map();
+            for (const battler of [...$gameParty.members(), ...$gameTroop.members()]) {
+                if (battler.isHidden && battler.isHidden()) continue;
+                
+                const states = new Map();
+                const removed = this.engine.projection.removedStates.get(battler) || [];
+                for (const stateId of battler._states || []) {
+                    if (removed.includes(stateId)) continue;
+                    states.set(stateId, battler._stateTurns ? battler._stateTurns[stateId] || 0 : 0);
+                }
+                for (const stateId of this.engine.projection.addedStates.get(battler) || []) {
+                    if (!states.has(stateId)) states.set(stateId, this.getStateTurns(stateId));
+                }
+                
+                const buffs = [];
+                for (let paramId = 0; paramId < 8; paramId++) {
+                    buffs.push(this.engine.getProjectedBuff(battler, paramId));
+                }
+                
+                // Parameters are read once; the engine recomputes them from traits on every access
+                this.stats.set(battler, { mhp: battler.mhp, mmp: battler.mmp, agi: battler.agi, tgr: battler.tgr || 1 });
+                snapshot.set(battler, {
+                    hp: this.engine.getProjectedHp(battler),
+                    mp: this.engine.getProjectedMp(battler),
+                    tp: this.engine.getProjectedTp(battler),
+                    states: states,
+                    buffs: buffs,
+                    buffTurns: battler._buffTurns ? battler._buffTurns.slice() : [0, 0, 0, 0, 0, 0, 0, 0]
+                });
+            }
+            return snapshot;
+        }
+        
+        cloneSnapshot(snapshot) {
+            const copy = new Map();
+            for (const [battler, entry] of snapshot) {
+                copy.set(battler, {
+                    hp: entry.hp,
+                    mp: entry.mp,
+                    tp: entry.tp,
+                    states: new Map(entry.states),
+                    buffs: entry.buffs.slice(),
+                    buffTurns: entry.buffTurns.slice()
+                });
+            }
+            return copy;
+        }
+        
+        getMax(battler, key) {
+            const stats = this.stats.get(battler);
+            return key === 'hp' ? stats.mhp : stats.mmp;
+        }
+        
+        isAlive(snapshot, battler) {
+            const entry = snapshot.get(battler);
+            return !!entry && entry.hp > 0;
+        }
+        
+        // Alive and not fully restricted
+        canAct(snapshot, battler) {
+            const entry = snapshot.get(battler);
+            if (!entry || entry.hp <= 0) return false;
+            return ![...entry.states.keys()].some(stateId => $dataStates[stateId] && $dataStates[stateId].restriction >= 4);
+        }
+        
+        getStateTurns(stateId) {
+            const state = $dataStates[stateId];
+            return state ? Math.round((state.minTurns + state.maxTurns) / 2) : 0;
+        }
+        
+        payCost(snapshot, subject, skillAnalysis) {
+            const entry = snapshot.get(subject);
+            const skill = skillAnalysis.skill;
+            if (!entry || !skill) return;
+            
+            const mpCost = subject.skillMpCost ? subject.skillMpCost(skill) : skill.mpCost;
+            const tpCost = subject.skillTpCost ? subject.skillTpCost(skill) : skill.tpCost;
+            entry.mp = Math.max(0, entry.mp - mpCost);
+            entry.tp = Math.max(0, Math.min(100, entry.tp - tpCost + Math.floor((skill.tpGain || 0) * (subject.tcr || 1))));
+        }
+        
+        canAfford(snapshot, subject, skill) {
+            const entry = snapshot.get(subject);
+            const mpCost = subject.skillMpCost ? subject.skillMpCost(skill) : skill.mpCost;
+            const tpCost = subject.skillTpCost ? subject.skillTpCost(skill) : skill.tpCost;
+            return !!entry && entry.mp >= mpCost && entry.tp >= tpCost;
+        }
+        
+        // Apply an action that hits; foldHitChance scales its effect by the chance to hit instead
+        applyAction(snapshot, subject, skillAnalysis, targets, weights, foldHitChance = false) {
+            const subjectEntry = snapshot.get(subject);
+            
+            for (const target of targets) {
+                const entry = snapshot.get(target);
+                if (!entry) continue;
+                if (skillAnalysis.targeting.dead ? entry.hp > 0 : entry.hp <= 0) continue;
+                
+                const weight = weights && weights.has(target) ? weights.get(target) : 1;
+                let landing = weight;
+                
+                if (skillAnalysis.categories.isDamage) {
+                    const distribution = this.engine.getDamageDistribution(skillAnalysis, target, subject);
+                    if (distribution) {
+                        if (foldHitChance) landing *= distribution.hitChance;
+                        const damage = this.getDamageOnHit(distribution) * landing;
+                        const key = distribution.type === 'hp' ? 'hp' : 'mp';
+                        const dealt = Math.max(0, Math.min(entry[key], damage));
+                        entry[key] = Math.max(0, Math.min(this.getMax(target, key), entry[key] - damage));
+                        if (skillAnalysis.categories.isDrain && subjectEntry) {
+                            subjectEntry[key] = Math.min(this.getMax(subject, key), subjectEntry[key] + dealt);
+                        }
+                        if (entry.hp <= 0) {
+                            entry.states.clear();
+                            entry.buffs.fill(0);
+                            continue;
+                        }
+                    }
+                } else if (skillAnalysis.categories.isHeal) {
+                    const amount = this.getHealingAmount(subject, skillAnalysis, target) * weight;
+                    const key = skillAnalysis.damage.type === 'hp' ? 'hp' : 'mp';
+                    entry[key] = Math.min(this.getMax(target, key), entry[key] + amount);
+                }
+                
+                const targetTraits = this.engine.getTraitAnalysis(target);
+                for (const effect of skillAnalysis.effects) {
+                    if (effect.category === 'state_add') {
+                        if (targetTraits.stateResists.includes(effect.stateId)) continue;
+                        const stateRate = targetTraits.stateRates[effect.stateId] || 1.0;
+                        if (this.isLanding(stateRate * (effect.chance / 100) * landing)) {
+                            entry.states.set(effect.stateId, this.getStateTurns(effect.stateId));
+                        }
+                    } else if (effect.code === 22 && this.isLanding(effect.chance / 100 * landing)) {
+                        entry.states.delete(effect.stateId);
+                    } else if (effect.code === 31 || effect.code === 32) {
+                        const change = effect.code === 31 ? 1 : -1;
+                        entry.buffs[effect.paramId] = Math.max(-2, Math.min(2, entry.buffs[effect.paramId] + change));
+                        entry.buffTurns[effect.paramId] = effect.turns;
+                    }
+                }
+            }
+        }
+        
+        // Damage dealt when the action connects
+        getDamageOnHit(distribution) {
+            return distribution.meanOnHit;
+        }
+        
+        // Whether an effect with this chance is taken to land
+        isLanding(chance) {
+            return chance >= 0.5;
+        }
+        
+        getHealingAmount(subject, skillAnalysis, target) {
+            if (subject === this.enemy) {
+                return this.engine.estimateHealingAmount(skillAnalysis, target);
+            }
+            const healing = Math.max(SafeFormulaEvaluator.evaluate(skillAnalysis.damage.formula, subject, target,
+                $gameVariables._data, skillAnalysis.id), 0);
+            return Math.floor(healing * (this.engine.getTraitAnalysis(target).spParams.rec || 1.0));
+        }
+        
+        // Slip damage, then state and buff expiry
+        endRound(snapshot) {
+            for (const [battler, entry] of snapshot) {
+                if (entry.hp <= 0) continue;
+                
+                let regen = 0;
+                for (const stateId of entry.states.keys()) {
+                    const state = $dataStates[stateId];
+                    for (const trait of state ? state.traits : []) {
+                        if (trait.code === 22 && trait.dataId === 7) regen += trait.value;
+                    }
+                }
+                // Slip damage never kills
+                entry.hp = Math.max(1, Math.min(this.getMax(battler, 'hp'), entry.hp + Math.floor(this.getMax(battler, 'hp') * regen)));
+                
+                for (const [stateId, turns] of entry.states) {
+                    const state = $dataStates[stateId];
+                    if (!state || state.autoRemovalTiming === 0) continue;
+                    if (turns <= 1) {
+                        entry.states.delete(stateId);
+                    } else {
+                        entry.states.set(stateId, turns - 1);
+                    }
+                }
+                
+                for (let paramId = 0; paramId < 8; paramId++) {
+                    if (entry.buffs[paramId] === 0) continue;
+                    entry.buffTurns[paramId]--;
+                    if (entry.buffTurns[paramId] <= 0) {
+                        entry.buffs[paramId] = 0;
+                    }
+                }
+            }
+        }
+        
+        // Likely replies from the actor model, limited to what the actor can afford in the snapshot
+        getReplies(snapshot, actor) {
+            if (!this.replyCache.has(actor)) {
+                this.replyCache.set(actor, PlayerProfiler.getLikelyActions(actor));
+            }
+            
+            const replies = this.replyCache.get(actor).filter(reply =>
+                $dataSkills[reply.skillId] && this.canAfford(snapshot, actor, $dataSkills[reply.skillId]));
+            const total = replies.reduce((sum, reply) => sum + reply.probability, 0);
+            if (total <= 0) {
+                return [{ skillId: actor.attackSkillId ? actor.attackSkillId() : 1, probability: 1 }];
+            }
+            return replies.map(reply => ({ skillId: reply.skillId, probability: reply.probability / total }));
+        }
+        
+        // Usable skills of a troop member in the snapshot
+        getEnemyOptions(snapshot, subject) {
+            const options = [];
+            const seen = new Set();
+            
+            for (const action of EnemyPhases.getActionList(subject)) {
+                const skill = $dataSkills[action.skillId];
+                if (!skill || seen.has(skill.id)) continue;
+                seen.add(skill.id);
+                
+                if (!this.canAfford(snapshot, subject, skill)) continue;
+                if (subject.isSkillSealed && subject.isSkillSealed(skill.id)) continue;
+                
+                const skillAnalysis = this.engine.getSkillAnalysis(skill.id);
+                if (!skillAnalysis) continue;
+                const targets = this.getOptionTargets(snapshot, subject, skillAnalysis);
+                if (targets.battlers.length > 0) {
+                    options.push({
+                        skillAnalysis: skillAnalysis,
+                        targets: targets.battlers,
+                        weights: targets.weights,
+                        rating: action.rating || 5
+                    });
+                }
+            }
+            return options;
+        }
+        
+        // Simple targeting: opponents closest to falling, most hurt allies, random scopes spread
+        getOptionTargets(snapshot, subject, skillAnalysis) {
+            const targeting = skillAnalysis.targeting;
+            if (targeting.type === 'self') return { battlers: [subject], weights: null };
+            
+            const opponents = targeting.type === 'enemy';
+            const pool = this.getUnitMembers(subject, opponents)
+                .filter(b => snapshot.has(b) && (targeting.dead ? snapshot.get(b).hp <= 0 : snapshot.get(b).hp > 0));
+            if (pool.length === 0 || targeting.all) return { battlers: pool, weights: null };
+            
+            if (targeting.random) {
+                const share = Math.min(1, (targeting.count || 1) / pool.length);
+                return { battlers: pool, weights: new Map(pool.map(b => [b, share])) };
+            }
+            
+            const rate = b => opponents ? snapshot.get(b).hp : snapshot.get(b).hp / this.getMax(b, 'hp');
+            return { battlers: [pool.reduce((a, b) => rate(a) <= rate(b) ? a : b)], weights: null };
+        }
+        
+        getUnitMembers(subject, opponents) {
+            return subject.isActor() === opponents ? $gameTroop.members() : $gameParty.members();
+        }
+    }
+    
+    // Depth-limited expectimax over the next rounds, for enemies tagged <ai_search: lookahead N>
+    // Each round the searching enemy acts, the party replies as PlayerProfiler
+    // predicts, then states, buffs and slip damage tick. Other troop members are
+    // not modelled, and damage is estimated from live parameters, not snapshot buffs.
+    class LookaheadSearch extends SearchModel {
+        constructor(engine, depth) {
+            super(engine);
+            this.depth = depth;
+            this.nodeBudget = engine.getParams().searchNodeBudget;
+            this.nodes = 0;
+            this.nodeLimit = this.nodeBudget;
+            this.deadline = Infinity;
+        }
+        
+        // Score the best greedy candidates by search and adjust their totals
+        apply(evaluations) {
+            const candidates = evaluations.filter(e => e.totalScore > 0).slice(0, 5);
+            if (candidates.length < 2) return;
+            
+            this.startTime = performance.now();
+            const root = this.createSnapshot();
+            for (const [index, evaluation] of candidates.entries()) {
+                // Each candidate gets an equal share of what the earlier ones left
+                const remaining = candidates.length - index;
+                this.nodeLimit = this.nodes + Math.floor((this.nodeBudget - this.nodes) / remaining);
+                if (this.timeBudget > 0) {
+                    const now = performance.now();
+                    this.deadline = now + Math.max(0, this.startTime + this.timeBudget - now) / remaining;
+                }
+                
+                const option = {
+                    skillAnalysis: evaluation.skillAnalysis,
+                    targets: evaluation.targets || [],
+                    weights: evaluation.targetWeights || null
+                };
+                evaluation.searchScore = this.actionNode(root, option, this.depth);
+                evaluation.searchCutShort = this.isExhausted();
+            }
+            
+            // Candidates lose score by how far the search puts them behind the best one
+            const best = Math.max(...candidates.map(e => e.searchScore));
+            let largestPenalty = 0;
+            for (const evaluation of candidates) {
+                const penalty = best - evaluation.searchScore;
+                evaluation.totalScore -= penalty;
+                largestPenalty = Math.max(largestPenalty, penalty);
+            }
+            for (const evaluation of evaluations) {
+                if (!candidates.includes(evaluation)) {
+                    evaluation.totalScore -= largestPenalty;
+                }
+            }
+            
+            if (getPluginParams().debugMode) {
+                const elapsed = performance.now() - this.startTime;
+                console.log(`Lookahead (${this.depth} round${this.depth > 1 ? 's' : ''}): ${this.nodes} nodes in ${elapsed.toFixed(1)}ms` +
+                    (candidates.some(e => e.searchCutShort) ? ' (budget reached)' : ''));
+                for (const evaluation of candidates) {
+                    console.log(`  ${evaluation.action.skill.name}: search ${evaluation.searchScore.toFixed(1)}` +
+                        (evaluation.searchCutShort ? ' (cut short)' : ''));
+                }
+            }
+        }
+        
+        isExhausted() {
+            return this.nodes >= this.nodeLimit || performance.now() > this.deadline;
+        }
+        
+        // Max node: the searching enemy picks its best option
+        maxNode(snapshot, depth) {
+            this.nodes++;
+            if (depth <= 0 || this.isExhausted() || !this.isAlive(snapshot, this.enemy)) {
+                return this.evaluate(snapshot);
+            }
+            
+            const options = this.getEnemyOptions(snapshot, this.enemy);
+            if (options.length === 0) return this.replyNode(snapshot, this.getActingActors(snapshot), 0, depth);
+            
+            let best = -Infinity;
+            for (const option of options) {
+                best = Math.max(best, this.actionNode(snapshot, option, depth));
+                if (this.isExhausted()) break;
+            }
+            return best;
+        }
+        
+        // Chance node over whether the enemy's action hits
+        actionNode(snapshot, option, depth) {
+            this.nodes++;
+            const hitChance = this.getHitChance(option);
+            const outcomes = hitChance >= 1 ? [[1, true]] : hitChance <= 0 ? [[1, false]] :
+                [[hitChance, true], [1 - hitChance, false]];
+            
+            let value = 0;
+            for (const [probability, hit] of outcomes) {
+                const next = this.cloneSnapshot(snapshot);
+                this.payCost(next, this.enemy, option.skillAnalysis);
+                if (hit) {
+                    this.applyAction(next, this.enemy, option.skillAnalysis, option.targets, option.weights);
+                }
+                value += probability * this.replyNode(next, this.getActingActors(next), 0, depth);
+            }
+            return value;
+        }
+        
+        // Chance node over each party member's predicted reply, one actor at a time
+        replyNode(snapshot, actors, index, depth) {
+            this.nodes++;
+            if (index >= actors.length || this.isExhausted()) {
+                this.endRound(snapshot);
+                return this.maxNode(snapshot, depth - 1);
+            }
+            
+            const actor = actors[index];
+            let value = 0;
+            for (const reply of this.getReplies(snapshot, actor)) {
+                const next = this.cloneSnapshot(snapshot);
+                const skillAnalysis = this.engine.getSkillAnalysis(reply.skillId);
+                if (skillAnalysis) {
+                    this.payCost(next, actor, skillAnalysis);
+                    const targets = this.getReplyTargets(next, actor, skillAnalysis);
+                    this.applyAction(next, actor, skillAnalysis, targets.battlers, targets.weights, true);
+                }
+                value += reply.probability * this.replyNode(next, actors, index + 1, depth);
+            }
+            return value;
+        }
+        
+        getActingActors(snapshot) {
+            return $gameParty.members().filter(actor => this.canAct(snapshot, actor));
+        }
+        
+        getHitChance(option) {
+            const target = option.targets.find(t => t && t.isActor && t.isActor()) || option.targets[0];
+            const distribution = target ? this.engine.getDamageDistribution(option.skillAnalysis, target) : null;
+            return distribution ? distribution.hitChance : option.skillAnalysis.successRate / 100;
+        }
+        
+        // Single-target replies are spread evenly over the troop; heals go to the weakest actor
+        getReplyTargets(snapshot, actor, skillAnalysis) {
+            const targeting = skillAnalysis.targeting;
+            if (targeting.type !== 'enemy' || targeting.all || targeting.random) {
+                return this.getOptionTargets(snapshot, actor, skillAnalysis);
+            }
+            
+            const pool = $gameTroop.members().filter(b => this.isAlive(snapshot, b));
+            const share = pool.length > 0 ? 1 / pool.length : 0;
+            return { battlers: pool, weights: new Map(pool.map(b => [b, share])) };
+        }
+        
+        // Static value of a snapshot for the searching enemy
+        evaluate(snapshot) {
+            this.nodes++;
+            let value = 0;
+            
+            for (const [battler, entry] of snapshot) {
+                const sign = battler.isActor() ? 1 : -1;
+                const importance = battler === this.enemy ? 1.5 : 1;
+                
+                if (entry.hp <= 0) {
+                    value += sign * 150 * importance;
+                    continue;
+                }
+                
+                value += sign * (1 - entry.hp / this.getMax(battler, 'hp')) * 100 * importance;
+                for (const stateId of entry.states.keys()) {
+                    value += sign * this.getStateValue(stateId);
+                }
+                for (const level of entry.buffs) {
+                    value -= sign * level * 5;
+                }
+            }
+            return value;
+        }
+        
+        getStateValue(stateId) {
+            const analysis = this.engine.getStateAnalysis(stateId);
+            if (!analysis) return 0;
+            
+            switch (analysis.category) {
+                case 'disable_full': return 40;
+                case 'disable_partial': return 25;
+                case 'damage_over_time': return 15;
+                case 'debuff': return 10;
+                default: return 0;
+            }
+        }
+    }
+    
+    // Flat Monte Carlo rollouts, for enemies tagged <ai_search: mcts>
+    // Each candidate is played out several times with dice rolled for hits,
+    // criticals, variance and states; afterwards every battler, allies included,
+    // follows a simple default policy for a few rounds.
+    class RolloutSearch extends SearchModel {
+        constructor(engine) {
+            super(engine);
+            const params = engine.getParams();
+            this.rollouts = params.mctsRollouts;
+            this.depth = params.mctsDepth;
+        }
+        
+        // Replace the candidates' scores with their average rollout outcome
+        apply(evaluations) {
+            const candidates = evaluations.filter(e => !e.forbidden).slice(0, 6);
+            if (candidates.length < 2) return;
+            
+            this.startTime = performance.now();
+            const root = this.createSnapshot();
+            const stats = new Map(candidates.map(e => [e, { runs: 0, total: 0, min: Infinity, max: -Infinity }]));
+            
+            // Round-robin so a time cut leaves every candidate with the same number of runs
+            let runs = 0;
+            for (let i = 0; i < this.rollouts && !this.isOutOfTime(); i++) {
+                for (const evaluation of candidates) {
+                    const outcome = this.rollout(root, evaluation);
+                    const stat = stats.get(evaluation);
+                    stat.runs++;
+                    stat.total += outcome;
+                    stat.min = Math.min(stat.min, outcome);
+                    stat.max = Math.max(stat.max, outcome);
+                    runs++;
+                }
+            }
+            
+            for (const evaluation of evaluations) {
+                if (evaluation.forbidden) continue;
+                const stat = stats.get(evaluation);
+                evaluation.rolloutScore = stat && stat.runs > 0 ? stat.total / stat.runs : 0;
+                evaluation.totalScore = EnemyRules.applyEffects(evaluation.rolloutScore, evaluation.ruleEffects || []);
+            }
             
-            // Detect stalemate
-            const sustainRatio = pattern.healingReceived / Math.max(pattern.damageDealt, 1);
-            if (sustainRatio > 0.8 && pattern.turns > 5) {
-                this.stalemateTurns++;
-            } else {
-                this.stalemateTurns = Math.max(0, this.stalemateTurns - 1);
+            if (getPluginParams().debugMode) {
+                const elapsed = performance.now() - this.startTime;
+                console.log(`Rollouts: ${runs} in ${elapsed.toFixed(1)}ms (depth ${this.depth})`);
+                for (const evaluation of candidates) {
+                    const stat = stats.get(evaluation);
+                    console.log(`  ${evaluation.action.skill.name}: n=${stat.runs} avg ${evaluation.rolloutScore.toFixed(1)} ` +
+                        `min ${stat.min.toFixed(1)} max ${stat.max.toFixed(1)}`);
+                }
             }
         }
         
-        getStrategyAdjustments() {
-            const params = getPluginParams();
-            const inStalemate = this.stalemateTurns > params.antiExploitThreshold;
-            const highSustainTargets = [];
+        // One playout: the candidate first, then default policies for the rest of the rounds
+        rollout(root, evaluation) {
+            const snapshot = this.cloneSnapshot(root);
+            const option = {
+                skillAnalysis: evaluation.skillAnalysis,
+                targets: evaluation.targets || [],
+                weights: evaluation.targetWeights || null
+            };
+            this.playAction(snapshot, this.enemy, option);
             
-            // Identify high sustain targets
-            for (const [name, pattern] of Object.entries(this.combatPatterns)) {
-                if (pattern.healingReceived / Math.max(pattern.damageDealt, 1) > 0.7) {
-                    highSustainTargets.push(name);
+            for (let round = 0; round < this.depth && !this.isDecided(snapshot); round++) {
+                for (const battler of this.getTurnOrder(snapshot)) {
+                    if (round === 0 && battler === this.enemy) continue;
+                    if (!this.canAct(snapshot, battler)) continue;
+                    
+                    const option = this.pickDefaultOption(snapshot, battler);
+                    if (option) this.playAction(snapshot, battler, option);
                 }
+                this.endRound(snapshot);
             }
             
-            return {
-                inStalemate: inStalemate,
-                prioritizeCC: inStalemate,
-                prioritizeStatus: inStalemate,
-                prioritizeDebuffs: inStalemate,
-                avoidHighSustainTargets: highSustainTargets,
-                strategyMultipliers: {
-                    damage: inStalemate ? 0.7 : 1.0,
-                    tactical: inStalemate ? 1.5 : 1.0,
-                    burst: inStalemate ? 1.3 : 1.0,
-                    lowHPBonus: inStalemate ? 1.5 : 1.0
+            return this.scoreOutcome(root, snapshot);
+        }
+        
+        // Pay for the action, roll random targets and hits, then apply it
+        playAction(snapshot, subject, option) {
+            const skillAnalysis = option.skillAnalysis;
+            this.payCost(snapshot, subject, skillAnalysis);
+            
+            let targets = option.targets.filter(t => snapshot.has(t));
+            if (skillAnalysis.targeting.random) {
+                const pool = targets.filter(t => this.isAlive(snapshot, t));
+                targets = [];
+                for (let i = 0; i < (skillAnalysis.targeting.count || 1) && pool.length > 0; i++) {
+                    targets.push(pool[AIRandom.randomInt(pool.length)]);
                 }
-            };
+            }
+            
+            const hits = targets.filter(target => {
+                const distribution = skillAnalysis.categories.isDamage ?
+                    this.engine.getDamageDistribution(skillAnalysis, target, subject) : null;
+                const hitChance = distribution ? distribution.hitChance : skillAnalysis.successRate / 100;
+                return AIRandom.next() < hitChance;
+            });
+            this.applyAction(snapshot, subject, skillAnalysis, hits, null);
         }
         
-        reset() {
-            this.combatPatterns = {};
-            this.stalemateTurns = 0;
-            this.currentStrategy = 'balanced';
+        // Critical and variance rolls as in Game_Action.makeDamageValue
+        getDamageOnHit(distribution) {
+            const critical = AIRandom.next() < distribution.critChance;
+            const mean = critical ? distribution.critMean : distribution.mean;
+            const amp = Math.floor(critical ? distribution.critAmp : distribution.amp);
+            return mean + AIRandom.randomInt(amp + 1) + AIRandom.randomInt(amp + 1) - amp;
         }
-    }
-    
-    // Evolution Integration Helper
-    class EvolutionIntegration {
-        static getEvolutionData(enemyId) {
-            return window.$enemyEvolutionData ? 
-                window.$enemyEvolutionData[enemyId] : null;
+        
+        isLanding(chance) {
+            return AIRandom.next() < chance;
         }
-
-        static getEvolvedSkills(enemy) {
-            if (!enemy || !enemy._enemyId) return [];
-            const evoData = this.getEvolutionData(enemy._enemyId);
-            return evoData && evoData.skills ? evoData.skills : [];
+        
+        // Enemies pick by action rating, actors by their predicted reply
+        pickDefaultOption(snapshot, battler) {
+            if (battler.isActor()) {
+                const replies = this.getReplies(snapshot, battler);
+                let roll = AIRandom.next();
+                const reply = replies.find(r => (roll -= r.probability) < 0) || replies[replies.length - 1];
+                const skillAnalysis = this.engine.getSkillAnalysis(reply.skillId);
+                if (!skillAnalysis) return null;
+                const targets = this.getOptionTargets(snapshot, battler, skillAnalysis).battlers;
+                return { skillAnalysis: skillAnalysis, targets: this.pickRandomOpponent(snapshot, battler, targets, skillAnalysis), weights: null };
+            }
+            
+            const options = this.getEnemyOptions(snapshot, battler);
+            if (options.length === 0) return null;
+            let roll = AIRandom.next() * options.reduce((sum, o) => sum + o.rating, 0);
+            const option = options.find(o => (roll -= o.rating) < 0) || options[options.length - 1];
+            option.targets = this.pickRandomOpponent(snapshot, battler, option.targets, option.skillAnalysis);
+            option.weights = null;
+            return option;
         }
-
-        static isEvolvedEnemy(enemy) {
-            if (!enemy || !enemy._enemyId) return false;
-            const evoData = this.getEvolutionData(enemy._enemyId);
-            if (!evoData) return false;
-
-            return (evoData.skills && evoData.skills.length > 0) ||
-                   (evoData.customTraits && evoData.customTraits.length > 0) ||
-                   (evoData.databaseTraits && evoData.databaseTraits.length > 0) ||
-                   Object.values(evoData.paramBoosts || {}).some(boost => boost > 0);
+        
+        // Single-target attacks land on a random opponent weighted by target rate
+        pickRandomOpponent(snapshot, subject, targets, skillAnalysis) {
+            const targeting = skillAnalysis.targeting;
+            if (targeting.type !== 'enemy' || targeting.all || targeting.random) {
+                return targets;
+            }
+            
+            const pool = this.getUnitMembers(subject, true).filter(b => this.isAlive(snapshot, b));
+            if (pool.length === 0) return [];
+            let roll = AIRandom.next() * pool.reduce((sum, b) => sum + this.stats.get(b).tgr, 0);
+            return [pool.find(b => (roll -= this.stats.get(b).tgr) < 0) || pool[pool.length - 1]];
+        }
+        
+        getTurnOrder(snapshot) {
+            return [...snapshot.keys()].filter(b => this.isAlive(snapshot, b)).sort((a, b) => this.stats.get(b).agi - this.stats.get(a).agi);
+        }
+        
+        isDecided(snapshot) {
+            const partyAlive = $gameParty.members().some(b => this.isAlive(snapshot, b));
+            const troopAlive = $gameTroop.members().some(b => this.isAlive(snapshot, b));
+            return !partyAlive || !troopAlive;
+        }
+        
+        // Share of party HP removed plus share of allies still standing, each out of 100
+        scoreOutcome(root, snapshot) {
+            let partyMaxHp = 0;
+            let removed = 0;
+            for (const actor of $gameParty.members()) {
+                if (!root.has(actor)) continue;
+                partyMaxHp += this.getMax(actor, 'hp');
+                removed += root.get(actor).hp - snapshot.get(actor).hp;
+            }
+            
+            const allies = $gameTroop.members().filter(b => this.isAlive(root, b));
+            const standing = allies.filter(b => this.isAlive(snapshot, b)).length;
+            
+            return (partyMaxHp > 0 ? removed / partyMaxHp * 100 : 0) +
+                (allies.length > 0 ? standing / allies.length * 100 : 0);
         }
     }
     
@@ -1231,10 +3608,16 @@
             this.stateAnalysisCache = {};
             this.skillAnalysisCache = {};
             this.traitAnalysisCache = {};
+            this.damageDistributionCache = new Map();
+            this.simulationCache = new Map();
+            this.incomingDamageCache = new Map();
+            this.battleLengthEstimate = null;
+            this.finisherPlan = undefined;
             this.strategicAdaptation = new StrategicAdaptation();
+            this.projection = this.createProjection();
             
-            const params = getPluginParams();
-            this.difficultyBehavior = getDifficultyBehavior(params.difficultyMode);
+            const params = this.getParams();
+            this.difficultyBehavior = getDifficultyBehavior(params.difficultyMode, params);
             
             // Evolution integration
             try {
@@ -1282,11 +3665,226 @@
             }
         }
         
-        // Get enemy role from notetag or analyze
-        getEnemyRole() {
-            if (!this.enemy || !this.enemy.enemy) return 'balanced';
+        // Create an empty projection of earlier action slots
+        createProjection() {
+            return {
+                slot: 0,
+                hp: new Map(),
+                mp: new Map(),
+                tp: new Map(),
+                addedStates: new Map(),
+                removedStates: new Map(),
+                buffs: new Map()
+            };
+        }
+        
+        // Projected HP after the actions already decided this turn
+        getProjectedHp(battler) {
+            if (!battler) return 0;
+            return this.projection.hp.has(battler) ? this.projection.hp.get(battler) : battler.hp;
+        }
+        
+        getProjectedMp(battler) {
+            if (!battler) return 0;
+            return this.projection.mp.has(battler) ? this.projection.mp.get(battler) : battler.mp;
+        }
+        
+        getProjectedTp(battler) {
+            if (!battler) return 0;
+            return this.projection.tp.has(battler) ? this.projection.tp.get(battler) : battler.tp;
+        }
+        
+        getProjectedHpRate(battler) {
+            if (!battler || !battler.mhp) return 0;
+            return this.getProjectedHp(battler) / battler.mhp;
+        }
+        
+        isProjectedDead(battler) {
+            return !battler || this.getProjectedHp(battler) <= 0;
+        }
+        
+        getProjectedBuff(battler, paramId) {
+            if (!battler) return 0;
+            const base = battler._buffs ? battler._buffs[paramId] || 0 : 0;
+            const delta = this.projection.buffs.get(battler);
+            return Math.max(-2, Math.min(2, base + (delta ? delta[paramId] || 0 : 0)));
+        }
+        
+        isProjectedStateAffected(battler, stateId) {
+            if (!battler) return false;
+            const added = this.projection.addedStates.get(battler);
+            if (added && added.includes(stateId)) return true;
+            const removed = this.projection.removedStates.get(battler);
+            if (removed && removed.includes(stateId)) return false;
+            return !!battler.isStateAffected && battler.isStateAffected(stateId);
+        }
+        
+        // Record the expected outcome of a decided slot so the next slot builds on it
+        projectDecision(decision) {
+            if (!decision) return;
+            
+            const skill = $dataSkills[decision.skillId];
+            const skillAnalysis = this.getSkillAnalysis(decision.skillId);
+            const projection = this.projection;
+            projection.slot++;
+            if (!skill || !skillAnalysis) return;
+            
+            // Resources spent by the subject
+            const mpCost = this.enemy.skillMpCost ? this.enemy.skillMpCost(skill) : skill.mpCost;
+            const tpCost = this.enemy.skillTpCost ? this.enemy.skillTpCost(skill) : skill.tpCost;
+            const tpGain = Math.floor((skill.tpGain || 0) * (this.enemy.tcr || 1));
+            projection.mp.set(this.enemy, Math.max(0, this.getProjectedMp(this.enemy) - mpCost));
+            projection.tp.set(this.enemy, Math.max(0, Math.min(100, this.getProjectedTp(this.enemy) - tpCost + tpGain)));
+            
+            for (const target of decision.targets || []) {
+                if (!target) continue;
+                
+                // HP lost or restored
+                let hp = this.getProjectedHp(target);
+                if (skillAnalysis.categories.isDamage && skillAnalysis.damage.type === 'hp') {
+                    hp -= this.estimateDamageEnhanced(skill, target, skillAnalysis);
+                } else if (skillAnalysis.categories.isHeal) {
+                    hp += this.estimateHealingAmount(skillAnalysis, target);
+                }
+                if (skillAnalysis.categories.isRevive && hp <= 0) {
+                    hp = this.getRevivalHp(target, skillAnalysis);
+                }
+                projection.hp.set(target, Math.max(0, Math.min(target.mhp, hp)));
+                
+                // States that will most likely be removed, then the ones that will most likely land
+                const targetTraits = this.getTraitAnalysis(target);
+                const simulation = this.getSimulation(skillAnalysis, target);
+                for (const effect of skillAnalysis.effects) {
+                    if (effect.category !== 'state_remove') continue;
+                    if (simulation) {
+                        const removed = simulation.removedStates.find(state => state.stateId === effect.stateId);
+                        if (!removed || removed.chance < 0.5) continue;
+                    } else if (effect.chance / 100 < 0.5) {
+                        continue;
+                    }
+                    
+                    const added = projection.addedStates.get(target) || [];
+                    projection.addedStates.set(target, added.filter(stateId => stateId !== effect.stateId));
+                    const removed = projection.removedStates.get(target) || [];
+                    if (!removed.includes(effect.stateId)) {
+                        removed.push(effect.stateId);
+                    }
+                    projection.removedStates.set(target, removed);
+                }
+                for (const effect of skillAnalysis.effects) {
+                    if (effect.category !== 'state_add') continue;
+                    if (simulation) {
+                        const landed = simulation.addedStates.find(state => state.stateId === effect.stateId);
+                        if (!landed || landed.chance < 0.5) continue;
+                    } else {
+                        if (targetTraits.stateResists.includes(effect.stateId)) continue;
+                        const stateRate = targetTraits.stateRates[effect.stateId] || 1.0;
+                        if (stateRate * (effect.chance / 100) < 0.5) continue;
+                    }
+                    
+                    const added = projection.addedStates.get(target) || [];
+                    if (!added.includes(effect.stateId)) {
+                        added.push(effect.stateId);
+                    }
+                    projection.addedStates.set(target, added);
+                    const removed = projection.removedStates.get(target);
+                    if (removed) {
+                        projection.removedStates.set(target, removed.filter(stateId => stateId !== effect.stateId));
+                    }
+                }
+                
+                // Buff and debuff levels
+                for (const effect of skillAnalysis.effects) {
+                    const change = effect.code === 31 ? 1 : effect.code === 32 ? -1 : 0;
+                    if (change === 0) continue;
+                    const delta = projection.buffs.get(target) || [0, 0, 0, 0, 0, 0, 0, 0];
+                    delta[effect.paramId] += change;
+                    projection.buffs.set(target, delta);
+                }
+            }
+        }
+        
+        // Search settings from <ai_search: ...> (null for the usual one-step choice)
+        getSearchSettings() {
+            const note = this.enemy.enemy ? this.enemy.enemy().note || '' : '';
+            const match = note.match(/<ai_search:\s*lookahead(?:\s+(\d+))?\s*>/i);
+            if (match) {
+                return { mode: 'lookahead', depth: Math.max(1, Math.min(2, Number(match[1] || 1))) };
+            }
+            if (/<ai_search:\s*mcts\s*>/i.test(note)) {
+                return { mode: 'mcts' };
+            }
+            return null;
+        }
+        
+        // Personality from <ai_personality>
+        getPersonality() {
+            const note = this.enemy && this.enemy.enemy ? this.enemy.enemy().note || '' : '';
+            const match = note.match(/<ai_personality:\s*(\w+)\s*>/i);
+            return match ? match[1].toLowerCase() : 'balanced';
+        }
+        
+        // How much this enemy's targeting follows the hate table
+        getHateWeight() {
+            return HateTable.PERSONALITIES[this.getPersonality()] ?? 1.0;
+        }
+        
+        // Chance (0-1) that this enemy wants to flee this turn
+        getFleeDesire() {
+            if (!this.enemy || !this.enemy.enemy) return 0;
+            
+            let desire = 0;
+            for (const rule of EnemyFlee.getRules(this.enemy.enemy())) {
+                if (rule.conditions.every(condition => EnemyPhases.isMet(this.enemy, condition))) {
+                    desire = Math.max(desire, rule.chance);
+                }
+            }
+            
+            // Morale drops as allies fall and as the enemy is hurt; cowards break sooner, berserkers never
+            const personality = this.getPersonality();
+            const params = this.getParams();
+            const threshold = personality === 'cowardly' ? Math.max(params.moraleFleeThreshold, 40) :
+                personality === 'berserk' ? 0 : params.moraleFleeThreshold;
+            if (threshold > 0) {
+                const others = $gameTroop.members().length - 1;
+                let loss = (others > 0 ? EnemyFlee.getFallenAllies(this.enemy) / others : 0) * 60 +
+                    (1 - this.enemy.hpRate()) * 40;
+                if (personality === 'cowardly') loss *= 1.5;
+                
+                const morale = Math.max(0, 100 - loss);
+                if (morale < threshold) {
+                    desire = Math.max(desire, (threshold - morale) / threshold);
+                }
+            }
+            
+            // Enemies that got away from this troop before are quicker to run again
+            if (desire > 0) {
+                desire = Math.min(1, desire + EnemyFlee.getPastFlights(this.enemy) * 0.1);
+            }
+            return desire;
+        }
+        
+        // Roll whether this enemy flees instead of acting this turn
+        shouldFlee() {
+            const desire = this.getFleeDesire();
+            if (desire <= 0 || AIRandom.next() >= desire) return false;
             
-            const note = this.enemy.enemy().note;
+            if (this.getParams().debugMode) {
+                console.log(`${this.enemy.name()} decides to flee (chance ${(desire * 100).toFixed(0)}%)`);
+            }
+            return true;
+        }
+        
+        // Get enemy role from the current phase, notetag or analyze
+        getEnemyRole(enemy = this.enemy) {
+            if (!enemy || !enemy.enemy) return 'balanced';
+            
+            const phase = EnemyPhases.getCurrentPhase(enemy);
+            if (phase && phase.role) {
+                return phase.role;
+            }
+            
+            const note = enemy.enemy().note;
             const roleMatch = note ? note.match(/<ai_role:\s*(\w+)>/i) : null;
             
             if (roleMatch) {
@@ -1294,14 +3892,14 @@
             }
             
             // Auto-detect role based on skills
-            const actions = this.enemy.enemy().actions || [];
+            const actions = enemy.enemy().actions || [];
             const skills = actions.map(a => $dataSkills[a.skillId]).filter(s => s);
             let healCount = 0, buffCount = 0, damageCount = 0, statusCount = 0;
             
             for (const skill of skills) {
                 if (!skill) continue;
-                if (skill.damage && skill.damage.type > 0) damageCount++;
-                if (skill.damage && skill.damage.type < 0) healCount++;
+                if (skill.damage && [1, 2, 5, 6].includes(skill.damage.type)) damageCount++;
+                if (skill.damage && (skill.damage.type === 3 || skill.damage.type === 4)) healCount++;
                 if (skill.effects) {
                     skill.effects.forEach(effect => {
                         if (effect.code === 21) statusCount++;
@@ -1349,7 +3947,7 @@
             if (!this.enemy || !this.enemy.enemy) return actions;
             
             // Get all enemy actions
-            const enemyActions = this.enemy.enemy().actions || [];
+            const enemyActions = EnemyPhases.getActionList(this.enemy);
             for (const action of enemyActions) {
                 if (this.enemy.isActionValid && this.enemy.isActionValid(action)) {
                     const skill = $dataSkills[action.skillId];
@@ -1366,8 +3964,9 @@
                 }
             }
             
-            // Add evolved skills if available
-            if (this.isEvolved && this.evolvedSkills.length > 0) {
+            // Add evolved skills if available (a phase skill pool replaces them)
+            const phase = EnemyPhases.getCurrentPhase(this.enemy);
+            if (this.isEvolved && this.evolvedSkills.length > 0 && !(phase && phase.skills)) {
                 for (const skillId of this.evolvedSkills) {
                     const skill = $dataSkills[skillId];
                     if (skill && this.canUseSkill(skill)) {
@@ -1390,13 +3989,15 @@
         canUseSkill(skill) {
             if (!skill || !this.enemy) return false;
             
-            // Check MP cost
-            if (skill.mpCost > 0 && this.enemy.mp < skill.mpCost) {
+            // Check MP cost (after resources spent by earlier action slots)
+            const mpCost = this.enemy.skillMpCost ? this.enemy.skillMpCost(skill) : skill.mpCost;
+            if (mpCost > 0 && this.getProjectedMp(this.enemy) < mpCost) {
                 return false;
             }
             
             // Check TP cost
-            if (skill.tpCost > 0 && this.enemy.tp < skill.tpCost) {
+            const tpCost = this.enemy.skillTpCost ? this.enemy.skillTpCost(skill) : skill.tpCost;
+            if (tpCost > 0 && this.getProjectedTp(this.enemy) < tpCost) {
                 return false;
             }
             
@@ -1446,7 +4047,9 @@
                     hasBuff: false,
                     hasDebuff: false,
                     hasSpecialEffect: false,
-                    hasTPEffect: false
+                    hasTPEffect: false,
+                    hasRemoval: false,
+                    isRevive: false
                 },
                 targeting: {
                     type: 'enemy',
@@ -1462,23 +4065,27 @@
             this.analyzeSkillScope(analysis);
             
             // Analyze damage
-            if (skill.damage && skill.damage.type > 0) {
+            // Damage types: 1 HP damage, 2 MP damage, 3 HP recover, 4 MP recover, 5 HP drain, 6 MP drain
+            const damageType = skill.damage ? skill.damage.type : 0;
+            if ([1, 2, 5, 6].includes(damageType)) {
                 analysis.categories.isDamage = true;
                 analysis.damage = {
-                    type: skill.damage.type === 1 ? 'hp' : 'mp',
+                    type: damageType === 1 || damageType === 5 ? 'hp' : 'mp',
+                    rawType: damageType,
                     elementId: skill.damage.elementId,
                     formula: skill.damage.formula,
                     variance: skill.damage.variance,
                     critical: skill.damage.critical
                 };
                 
-                if (skill.damage.type === 5) {
+                if (damageType === 5 || damageType === 6) {
                     analysis.categories.isDrain = true;
                 }
-            } else if (skill.damage && skill.damage.type < 0) {
+            } else if (damageType === 3 || damageType === 4) {
                 analysis.categories.isHeal = true;
                 analysis.damage = {
-                    type: skill.damage.type === -1 ? 'hp' : 'mp',
+                    type: damageType === 3 ? 'hp' : 'mp',
+                    rawType: damageType,
                     elementId: skill.damage.elementId,
                     formula: skill.damage.formula,
                     variance: skill.damage.variance,
@@ -1496,9 +4103,12 @@
                         // Update categories
                         switch (effectAnalysis.category) {
                             case 'state_add':
-                            case 'state_remove':
                                 analysis.categories.hasStatusEffect = true;
                                 break;
+                            case 'state_remove':
+                            case 'buff_remove':
+                                analysis.categories.hasRemoval = true;
+                                break;
                             case 'buff':
                                 analysis.categories.hasBuff = true;
                                 break;
@@ -1509,6 +4119,9 @@
                             case 'grow':
                             case 'learn':
                                 analysis.categories.hasSpecialEffect = true;
+                                if (effectAnalysis.type === 'resurrect') {
+                                    analysis.categories.isRevive = true;
+                                }
                                 break;
                             case 'heal':
                                 if (effectAnalysis.type === 'tp') {
@@ -1520,6 +4133,14 @@
                 }
             }
             
+            // TP over time: spent on use, charged by the skill itself and by Gain TP on the user
+            analysis.tpProfile = {
+                cost: skill.tpCost || 0,
+                gain: skill.tpGain || 0,
+                selfGain: analysis.targeting.type === 'self' ?
+                    analysis.effects.filter(effect => effect.code === 13).reduce((sum, effect) => sum + effect.value1, 0) : 0
+            };
+            
             this.skillAnalysisCache[skillId] = analysis;
             return analysis;
         }
@@ -1645,12 +4266,12 @@
                     analysis.description = `Debuff ${this.getParamName(effect.dataId)} for ${effect.value1} turns`;
                     break;
                 case 33: // Remove Buff
-                    analysis.category = 'debuff';
+                    analysis.category = 'buff_remove';
                     analysis.type = 'remove_buff';
                     analysis.paramId = effect.dataId;
                     break;
                 case 34: // Remove Debuff
-                    analysis.category = 'buff';
+                    analysis.category = 'buff_remove';
                     analysis.type = 'remove_debuff';
                     analysis.paramId = effect.dataId;
                     break;
@@ -1714,7 +4335,7 @@
                     maxTurns: state.maxTurns,
                     removeByDamageChance: state.chanceByDamage || 0
                 },
-                traits: state.traits || [],
+                traits: [],
                 effects: {
                     slipDamage: 0,
                     paramChanges: {},
@@ -1779,18 +4400,18 @@
                 allyCount: allies.length,
                 enemyCount: enemies.length,
                 allyAvgHpRatio: allies.length > 0 ? 
-                    allies.reduce((sum, ally) => sum + ally.hp / ally.mhp, 0) / allies.length : 0,
+                    allies.reduce((sum, ally) => sum + this.getProjectedHpRate(ally), 0) / allies.length : 0,
                 enemyAvgHpRatio: enemies.length > 0 ? 
-                    enemies.reduce((sum, enemy) => sum + enemy.hp / enemy.mhp, 0) / enemies.length : 0,
-                enemyHpRatio: this.enemy.hp / this.enemy.mhp,
-                enemyMpRatio: this.enemy.mp / this.enemy.mmp,
-                enemyTpRatio: this.enemy.tp / 100,
+                    enemies.reduce((sum, enemy) => sum + this.getProjectedHpRate(enemy), 0) / enemies.length : 0,
+                enemyHpRatio: this.getProjectedHpRate(this.enemy),
+                enemyMpRatio: this.enemy.mmp > 0 ? this.getProjectedMp(this.enemy) / this.enemy.mmp : 0,
+                enemyTpRatio: this.getProjectedTp(this.enemy) / 100,
                 activeStates: this.analyzeActiveStates(),
                 comboPotential: this.analyzeComboPotential(),
                 targetEquipment: {},
                 enemyTraits: {},
                 predictedActions: this.predictPlayerActions(),
-                partyItemAnalysis: getPluginParams().considerItemQuantity ? 
+                partyItemAnalysis: this.getParams().considerItemQuantity ?
                     ItemQuantityTracker.analyzePartyItems() : null
             };
             
@@ -1800,7 +4421,7 @@
             }
             
             // Analyze equipment if enabled
-            if (getPluginParams().analyzeEquipment) {
+            if (this.getParams().analyzeEquipment) {
                 for (const actor of enemies.filter(e => e.isActor && e.isActor())) {
                     this.battleState.targetEquipment[actor.name()] = 
                         EquipmentAnalyzer.analyzeActorEquipment(actor);
@@ -1812,17 +4433,25 @@
             }
         }
         
-        // Predict player actions
+        // Predict player actions, keeping those confident enough for this difficulty
         predictPlayerActions() {
             const predictions = {};
+            const threshold = this.difficultyBehavior.predictionThreshold ?? 0.45;
             
-            if (this.difficultyBehavior.perfectPrediction) {
-                for (const actor of $gameParty.aliveMembers()) {
-                    const predictedSkill = PlayerProfiler.predictNextAction(actor);
-                    if (predictedSkill) {
-                        predictions[actor.name()] = predictedSkill;
-                    }
-                }
+            for (const actor of $gameParty.aliveMembers()) {
+                if (!actor.canMove()) continue;
+                const prediction = PlayerProfiler.predictNextAction(actor);
+                if (!prediction || prediction.confidence < threshold) continue;
+                
+                const skillAnalysis = this.getSkillAnalysis(prediction.skillId);
+                if (!skillAnalysis) continue;
+                predictions[actor.name()] = {
+                    actor: actor,
+                    skillId: prediction.skillId,
+                    skillAnalysis: skillAnalysis,
+                    probability: prediction.distribution[0].probability,
+                    confidence: prediction.confidence
+                };
             }
             
             return predictions;
@@ -1958,7 +4587,7 @@
                 totalRisk += risk;
                 totalStateValue += stateValue;
                 
-                const params = getPluginParams();
+                const params = this.getParams();
                 if (params.debugMode) {
                     console.log(`State ${state.name} on ${target.name()}: Value=${stateValue.toFixed(1)}, RemovalChance=${(removalChance * 100).toFixed(0)}%, Risk=${risk.toFixed(1)}`);
                 }
@@ -1980,6 +4609,7 @@
                 
                 // Check if this is a viable alternative
                 if (altSkillAnalysis && (altSkillAnalysis.categories.hasStatusEffect ||
+                    altSkillAnalysis.categories.hasRemoval ||
                     altSkillAnalysis.categories.hasBuff ||
                     altSkillAnalysis.categories.hasDebuff ||
                     altSkillAnalysis.categories.isHeal)) {
@@ -2043,15 +4673,19 @@
                         $gameParty.members().filter(m => m.isDead && m.isDead()) :
                         $gameParty.aliveMembers();
                     
+                    // Skip targets an earlier action slot is expected to finish off
+                    if (!targeting.dead) {
+                        const survivors = potentials.filter(m => !this.isProjectedDead(m));
+                        if (survivors.length > 0) {
+                            potentials = survivors;
+                        }
+                    }
+                    
                     if (targeting.all) {
                         targets = potentials;
                     } else if (targeting.random) {
-                        const count = targeting.count || 1;
-                        for (let i = 0; i < count && potentials.length > 0; i++) {
-                            const index = Math.floor(Math.random() * potentials.length);
-                            targets.push(potentials[index]);
-                            potentials.splice(index, 1);
-                        }
+                        // Every possible target is scored, weighted by its hit expectation
+                        targets = potentials;
                     } else {
                         // Filter status targets if applicable
                         if (skillAnalysis.categories.hasStatusEffect) {
@@ -2065,7 +4699,7 @@
                     
                 case 'ally':
                     let allies = targeting.dead ? 
-                        $gameTroop.members().filter(m => m.isDead && m.isDead()) :
+                        $gameTroop.members().filter(m => m.isDead && m.isDead() && this.getProjectedHp(m) <= 0) :
                         $gameTroop.aliveMembers();
                     
                     if (targeting.all) {
@@ -2084,6 +4718,106 @@
             return targets;
         }
         
+        // Expected number of hits each target takes from a random-scope skill
+        getRandomTargetWeights(potentials, skillAnalysis) {
+            const weights = new Map();
+            if (!potentials || potentials.length === 0 || !skillAnalysis) return weights;
+            
+            // Random targets are drawn with replacement, weighted by target rate (tgr)
+            const count = skillAnalysis.targeting.count || 1;
+            const totalTgr = potentials.reduce((sum, target) => sum + (target.tgr || 1), 0);
+            for (const target of potentials) {
+                weights.set(target, count * (target.tgr || 1) / Math.max(totalTgr, 0.001));
+            }
+            
+            return weights;
+        }
+        
+        // Random opponent for fallback decisions, drawn from the AI random source
+        getFallbackTarget() {
+            const skillAnalysis = { targeting: { count: 1 } };
+            const targets = this.rollRandomTargets($gameParty.aliveMembers(), skillAnalysis);
+            return targets[0] || $gameParty.members()[0];
+        }
+        
+        // Expected HP damage of a decision on each target, by name
+        getExpectedDamageByTarget(targets, skillAnalysis) {
+            const damage = {};
+            if (!targets || !skillAnalysis || !skillAnalysis.categories.isDamage || skillAnalysis.damage.type !== 'hp') {
+                return damage;
+            }
+            
+            for (const target of targets) {
+                const distribution = target ? this.getDamageDistribution(skillAnalysis, target) : null;
+                if (!distribution || distribution.expected <= 0) continue;
+                damage[target.name()] = (damage[target.name()] || 0) + distribution.expected;
+            }
+            return damage;
+        }
+        
+        // Damage other troop members have committed to a target and not yet dealt;
+        // this enemy's own earlier slots are in the projection instead
+        getCommittedDamage(target) {
+            const key = target.name();
+            let total = 0;
+            for (const [index, damage] of Object.entries(this.teamDecisions.expectedDamage)) {
+                if (Number(index) !== this.enemy.index()) {
+                    total += damage[key] || 0;
+                }
+            }
+            return total;
+        }
+        
+        // HP a target is expected to have left once the troop's committed damage lands
+        getUncommittedHp(target) {
+            return Math.max(0, this.getProjectedHp(target) - this.getCommittedDamage(target));
+        }
+        
+        // What a damage skill can still take from the target: uncommitted HP, or projected MP for MP damage
+        getDamagePool(target, skillAnalysis) {
+            if (skillAnalysis.damage.type === 'mp') {
+                return { remaining: this.getProjectedMp(target), max: Math.max(1, target.mmp) };
+            }
+            return { remaining: this.getUncommittedHp(target), max: target.mhp };
+        }
+        
+        // Weight of a target in the action currently being evaluated
+        getTargetWeight(target) {
+            if (!this.targetWeights || !this.targetWeights.has(target)) return 1;
+            return this.targetWeights.get(target);
+        }
+        
+        // Chance that a random-scope skill hits the target at least once
+        getTargetHitChance(target, skillAnalysis) {
+            if (!this.targetWeights || !this.targetWeights.has(target)) return 1;
+            const count = skillAnalysis ? skillAnalysis.targeting.count || 1 : 1;
+            const chance = Math.min(1, this.targetWeights.get(target) / count);
+            return 1 - Math.pow(1 - chance, count);
+        }
+        
+        // Roll the actual targets of a random-scope skill the way Game_Action would
+        rollRandomTargets(potentials, skillAnalysis) {
+            const targets = [];
+            if (!potentials || potentials.length === 0 || !skillAnalysis) return targets;
+            
+            const count = skillAnalysis.targeting.count || 1;
+            const totalTgr = potentials.reduce((sum, target) => sum + (target.tgr || 1), 0);
+            for (let i = 0; i < count; i++) {
+                let roll = AIRandom.next() * totalTgr;
+                let picked = potentials[potentials.length - 1];
+                for (const target of potentials) {
+                    roll -= target.tgr || 1;
+                    if (roll <= 0) {
+                        picked = target;
+                        break;
+                    }
+                }
+                targets.push(picked);
+            }
+            
+            return targets;
+        }
+        
         // Filter targets that would benefit from status effects
         filterStatusTargets(potentials, skillAnalysis) {
             if (!potentials || !skillAnalysis) return [];
@@ -2095,7 +4829,7 @@
                     for (const effect of skillAnalysis.effects) {
                         if (effect.category === 'state_add') {
                             // Check if target already has the state
-                            if (target.isStateAffected && target.isStateAffected(effect.stateId)) continue;
+                            if (this.isProjectedStateAffected(target, effect.stateId)) continue;
                             
                             // Check state resistance from traits
                             const stateRate = targetTraits.stateRates[effect.stateId] || 1.0;
@@ -2117,7 +4851,16 @@
             let bestTarget = null;
             let bestScore = -Infinity;
             
-            const strategy = this.strategicAdaptation.getStrategyAdjustments();
+            const strategy = this.strategicAdaptation.getStrategyAdjustments(this.getParams());
+            
+            // A taunting party member draws every single-target action aimed at the party
+            const taunters = potentials.filter(target => target.isActor && target.isActor() && HateTable.isTaunting(target));
+            if (taunters.length > 0) {
+                potentials = taunters;
+            }
+            
+            const hateWeight = this.getHateWeight();
+            const useHate = HateTable.hasHate();
             
             for (const target of potentials) {
                 let score = 0;
@@ -2127,11 +4870,15 @@
                 const threat = this.assessThreatLevel(target);
                 const isHighSustain = strategy.avoidHighSustainTargets.includes(target.name());
                 
-                // Base threat score
-                score += threat * 10;
+                // Base score from the hate table once the party has drawn any, from threat before that
+                if (useHate && target.isActor && target.isActor()) {
+                    score += HateTable.getShare(target) * 40 * hateWeight;
+                } else {
+                    score += threat * 10 * (target.tgr ?? 1);
+                }
                 
                 // HP-based targeting
-                const hpRatio = target.hp / target.mhp;
+                const hpRatio = this.getProjectedHpRate(target);
                 score += (1 - hpRatio) * 30;
                 
                 // State preservation consideration
@@ -2142,23 +4889,26 @@
                     if (stateRisk.risk > 50) {
                         score -= stateRisk.risk * 2;
                         
-                        const params = getPluginParams();
+                        const params = this.getParams();
                         if (params.debugMode) {
                             console.log(`${target.name()} state removal risk: ${stateRisk.risk.toFixed(1)} (Total state value: ${stateRisk.stateValue.toFixed(1)})`);
                         }
                     }
                 }
                 
-                // Damage calculations
+                // Damage calculations, against the HP the rest of the troop leaves
                 if (skillAnalysis.categories.isDamage) {
-                    const damage = this.estimateDamageEnhanced(skillAnalysis.skill, target, skillAnalysis);
-                    const lethalDamage = damage >= target.hp;
+                    const distribution = this.getDamageDistribution(skillAnalysis, target);
+                    const pool = this.getDamagePool(target, skillAnalysis);
+                    const targetHp = pool.remaining;
+                    const damage = distribution ? distribution.meanOnHit : 0;
+                    const killChance = distribution && targetHp > 0 ? this.getKillProbability(distribution, targetHp, true) : 0;
                     
-                    if (lethalDamage) {
-                        score += 200;
-                        if (threat > 0.7) score += 100;
-                    } else {
-                        score += (damage / target.mhp) * 50;
+                    // Scored as if the hit lands; hit chance is applied below
+                    score += killChance * (threat > 0.7 ? 300 : 200);
+                    score += (1 - killChance) * (Math.min(damage, targetHp) / pool.max) * 50;
+                    if (targetHp <= 0) {
+                        score -= 100; // Spare damage goes elsewhere
                     }
                     
                     // Element rate considerations
@@ -2182,12 +4932,17 @@
                     score += (1 - magicalDef / (this.enemy.mat * 4)) * 20;
                     
                     // Hit chance
-                    const hitChance = this.calculateHitChance(this.enemy, target, targetTraits);
+                    const hitChance = distribution ? distribution.hitChance : this.calculateHitChance(this.enemy, target, targetTraits);
                     score *= hitChance;
                     
                     score *= strategy.strategyMultipliers.damage;
                 }
                 
+                // Beneficial states and buffs a dispel would strip
+                if (skillAnalysis.categories.hasRemoval) {
+                    score += this.getDispelValue(target, skillAnalysis);
+                }
+                
                 // Status effect considerations
                 if (skillAnalysis.categories.hasStatusEffect && skillAnalysis.effects) {
                     let statusScore = 0;
@@ -2198,7 +4953,7 @@
                             if (!stateAnalysis) continue;
                             
                             // Skip if already affected
-                            if (target.isStateAffected && target.isStateAffected(effect.stateId)) {
+                            if (this.isProjectedStateAffected(target, effect.stateId)) {
                                 score -= 100;
                                 continue;
                             }
@@ -2237,7 +4992,7 @@
                                         statusScore += threat * 0.3;
                                         break;
                                     case 'damage_over_time':
-                                        statusScore += (target.hp / target.mhp) * 40;
+                                        statusScore += this.getProjectedHpRate(target) * 40;
                                         break;
                                     case 'debuff':
                                         statusScore += threat * 0.2;
@@ -2281,18 +5036,12 @@
                     score += debuffScore * strategy.strategyMultipliers.tactical;
                 }
                 
+                // Counter and reflection risk of aiming at this target
+                const retaliation = this.calculateRetaliationRisk([target], skillAnalysis);
+                score = score * (1 - retaliation.blockedShare) - retaliation.risk;
+                
                 // Equipment-based adjustments
                 if (targetEquip) {
-                    if (targetEquip.hasReflection && skillAnalysis.categories.isDamage && 
-                        skillAnalysis.damage?.type === 'magical') {
-                        score -= 100;
-                    }
-                    
-                    if (targetEquip.hasCounter && skillAnalysis.categories.isDamage && 
-                        skillAnalysis.damage?.type === 'physical') {
-                        score -= 50;
-                    }
-                    
                     if (targetEquip.autoStates.length > 0) {
                         score += 20;
                     }
@@ -2324,10 +5073,15 @@
                 let score = 0;
                 const allyTraits = this.getTraitAnalysis(ally);
                 
+                // Revival considerations
+                if (skillAnalysis.categories.isRevive && ally.isDead()) {
+                    score += this.getRevivalValue(ally, skillAnalysis);
+                }
+                
                 // Healing considerations
                 if (skillAnalysis.categories.isHeal) {
-                    const missingHp = ally.mhp - ally.hp;
-                    const hpRatio = ally.hp / ally.mhp;
+                    const missingHp = ally.mhp - this.getProjectedHp(ally);
+                    const hpRatio = this.getProjectedHpRate(ally);
                     
                     // Base healing score
                     score += (missingHp / ally.mhp) * 100;
@@ -2354,13 +5108,13 @@
                     score += (attackPower / 100) * 30;
                     
                     // Consider ally's HP ratio (buff healthy allies)
-                    const hpRatio = ally.hp / ally.mhp;
+                    const hpRatio = this.getProjectedHpRate(ally);
                     score += hpRatio * 20;
                     
                     // Check if already buffed
                     for (const effect of skillAnalysis.effects) {
                         if (effect.category === 'buff' && ally._buffs) {
-                            const buffLevel = ally._buffs[effect.paramId] || 0;
+                            const buffLevel = this.getProjectedBuff(ally, effect.paramId);
                             if (buffLevel >= 2) {
                                 score -= 50; // Already max buffed
                             }
@@ -2368,31 +5122,9 @@
                     }
                 }
                 
-                // Status removal considerations
-                if (skillAnalysis.categories.hasStatusEffect && skillAnalysis.effects) {
-                    for (const effect of skillAnalysis.effects) {
-                        if (effect.category === 'state_remove') {
-                            if (ally.isStateAffected && ally.isStateAffected(effect.stateId)) {
-                                const stateAnalysis = this.getStateAnalysis(effect.stateId);
-                                if (stateAnalysis) {
-                                    // Prioritize removing disabling states
-                                    switch (stateAnalysis.category) {
-                                        case 'disable_full':
-                                            score += 100;
-                                            break;
-                                        case 'disable_partial':
-                                            score += 70;
-                                            break;
-                                        case 'damage_over_time':
-                                            score += 50;
-                                            break;
-                                        default:
-                                            score += 30;
-                                    }
-                                }
-                            }
-                        }
-                    }
+                // State and debuff removal considerations
+                if (skillAnalysis.categories.hasRemoval) {
+                    score += this.getCleanseValue(ally, skillAnalysis);
                 }
                 
                 if (score > bestScore) {
@@ -2418,7 +5150,10 @@
             threat += (1 - defense / 500) * 0.2;
             
             // HP ratio (healthy enemies are more threatening)
-            threat += (target.hp / target.mhp) * 0.2;
+            threat += this.getProjectedHpRate(target) * 0.2;
+            
+            // Attention the target has drawn this battle
+            threat += HateTable.getShare(target) * 0.3;
             
             // Speed (faster enemies act more often)
             threat += (target.agi / 100) * 0.1;
@@ -2433,7 +5168,7 @@
             }
             
             // Item threat
-            const params = getPluginParams();
+            const params = this.getParams();
             if (params.considerItemQuantity) {
                 const itemThreat = ItemQuantityTracker.calculateItemThreat(target.name());
                 threat += itemThreat / 100;
@@ -2463,68 +5198,177 @@
             return traits.elementRates[elementId] || 1.0;
         }
         
-        // Estimate damage with trait analysis
-        estimateDamageEnhanced(skill, target, skillAnalysis) {
+        // Expected damage of a skill against a target (negative when the target absorbs it)
+        estimateDamageEnhanced(skill, target, skillAnalysis, subject = this.enemy) {
             if (!skill || !target || !skillAnalysis || !skillAnalysis.damage) return 0;
             
-            const a = this.enemy;
-            const b = target;
-            const v = $gameVariables._data;
-            let damage = 0;
-            
-            // Evaluate damage formula safely
-            damage = SafeFormulaEvaluator.evaluate(skillAnalysis.damage.formula, a, b, v);
+            const distribution = this.getDamageDistribution(skillAnalysis, target, subject);
+            return distribution ? Math.floor(distribution.expected) : 0;
+        }
             
-            // Apply variance
-            if (skillAnalysis.damage.variance > 0) {
-                const variance = skillAnalysis.damage.variance;
-                const amp = Math.floor(Math.max(damage * variance / 100, 0));
-                const randomValue = Math.floor(Math.random() * (amp + 1));
-                damage += randomValue - amp / 2;
-            }
+        // Damage distribution of a skill against a target, following Game_Action.makeDamageValue
+        getDamageDistribution(skillAnalysis, target, subject = this.enemy) {
+            if (!skillAnalysis || !target || !subject || !skillAnalysis.categories.isDamage) return null;
             
-            // Apply element rate
-            if (skillAnalysis.damage.elementId >= 0) {
-                const elementRate = this.getElementRate(target, skillAnalysis.damage.elementId);
-                damage *= elementRate;
+            const cacheKey = `${this.getBattlerKey(subject)}_${skillAnalysis.id}_${this.getBattlerKey(target)}`;
+            if (this.damageDistributionCache.has(cacheKey)) {
+                return this.damageDistributionCache.get(cacheKey);
             }
             
-            // Apply defense
+            const damage = skillAnalysis.damage;
             const targetTraits = this.getTraitAnalysis(target);
-            const targetEquip = this.battleState && this.battleState.targetEquipment ?
-                this.battleState.targetEquipment[target.name()] : null;
             
-            if (skillAnalysis.damage.type === 'hp') {
-                // Physical or magical damage
-                const isPhysical = skillAnalysis.hitType === 1;
-                const defType = isPhysical ? 'physical' : 'magical';
-                const effectiveDef = this.calculateEffectiveDefense(target, defType, targetTraits, targetEquip);
-                
-                // Apply defense reduction
-                damage *= (1 - effectiveDef / (effectiveDef + 100));
-                
-                // Apply PDR/MDR
-                if (isPhysical) {
-                    damage *= targetTraits.spParams.pdr || 1.0;
-                } else {
-                    damage *= targetTraits.spParams.mdr || 1.0;
+            // Formula value (never negative for damage types) and element rate, from the engine when simulated
+            const simulation = this.getSimulation(skillAnalysis, target, subject);
+            const base = simulation ? Math.max(simulation.baseValue, 0) :
+                Math.max(SafeFormulaEvaluator.evaluate(damage.formula, subject, target, $gameVariables._data, skillAnalysis.id), 0);
+            
+            // Element rate, including normal attack elements for element -1
+            let elementRate = 1;
+            if (simulation) {
+                elementRate = simulation.elementRate;
+            } else if (damage.elementId < 0) {
+                const attackElements = this.getTraitAnalysis(subject).attackElements;
+                if (attackElements.length > 0) {
+                    elementRate = Math.max(...attackElements.map(elementId => this.getElementRate(target, elementId)));
+                }
+            } else if (damage.elementId > 0) {
+                elementRate = this.getElementRate(target, damage.elementId);
+            }
+            
+            let value = base * elementRate;
+            if (skillAnalysis.hitType === 1) {
+                value *= targetTraits.spParams.pdr || 1.0;
+            } else if (skillAnalysis.hitType === 2) {
+                value *= targetTraits.spParams.mdr || 1.0;
+            }
+            
+            // Guarding halves positive damage (further reduced by grd)
+            const guardRate = value > 0 && target.isGuard && target.isGuard() ?
+                2 * (targetTraits.spParams.grd || 1.0) : 1;
+            
+            // Critical chance
+            const critChance = damage.critical ?
+                Math.max(0, Math.min(1, (subject.cri || 0) * (1 - (targetTraits.exParams.cev || 0)))) : 0;
+            
+            // Hit chance: success rate, then hit and evasion by hit type
+            const successRate = (skillAnalysis.successRate || 0) / 100;
+            let hitChance = successRate;
+            if (skillAnalysis.hitType === 1) {
+                hitChance *= (subject.hit !== undefined ? subject.hit : 0.95) * (1 - (targetTraits.exParams.eva || 0));
+            } else if (skillAnalysis.hitType === 2) {
+                hitChance *= 1 - (targetTraits.exParams.mev || 0);
+            }
+            hitChance = Math.max(0, Math.min(1, hitChance));
+            
+            const variance = damage.variance || 0;
+            const normal = value / guardRate;
+            const critical = value * 3 / guardRate;
+            const normalAmp = Math.floor(Math.max(Math.abs(value) * variance / 100, 0)) / guardRate;
+            const criticalAmp = Math.floor(Math.max(Math.abs(value * 3) * variance / 100, 0)) / guardRate;
+            const meanOnHit = normal * (1 - critChance) + critical * critChance;
+            
+            const distribution = {
+                type: damage.type,
+                base: base,
+                elementRate: elementRate,
+                absorbs: elementRate < 0,
+                min: normal - normalAmp,
+                mean: normal,
+                max: normal + normalAmp,
+                amp: normalAmp,
+                critMin: critical - criticalAmp,
+                critMean: critical,
+                critMax: critical + criticalAmp,
+                critAmp: criticalAmp,
+                critChance: critChance,
+                hitChance: hitChance,
+                meanOnHit: meanOnHit,
+                expected: meanOnHit * hitChance
+            };
+            
+            this.damageDistributionCache.set(cacheKey, distribution);
+            return distribution;
+        }
+        
+        // Result of running the skill on copies of the subject and target (null when not simulating)
+        getSimulation(skillAnalysis, target, subject = this.enemy) {
+            if (!skillAnalysis || !target || !subject || !this.getParams().simulateActions) return null;
+            
+            const cacheKey = `${this.getBattlerKey(subject)}_${skillAnalysis.id}_${this.getBattlerKey(target)}`;
+            if (this.simulationCache.has(cacheKey)) {
+                return this.simulationCache.get(cacheKey);
+            }
+            
+            const simulation = ActionSimulator.simulate(skillAnalysis.skill, subject, target,
+                (battler, copy) => this.applyProjectionToCopy(battler, copy));
+            this.simulationCache.set(cacheKey, simulation);
+            return simulation;
+        }
+        
+        // Bring a battler copy in line with the earlier action slots of this turn
+        applyProjectionToCopy(battler, copy) {
+            copy._hp = this.getProjectedHp(battler);
+            copy._mp = this.getProjectedMp(battler);
+            copy._tp = this.getProjectedTp(battler);
+            
+            for (const stateId of this.projection.removedStates.get(battler) || []) {
+                if (copy.isStateAffected(stateId)) {
+                    copy.eraseState(stateId);
+                }
+            }
+            for (const stateId of this.projection.addedStates.get(battler) || []) {
+                if (!copy.isStateAffected(stateId)) {
+                    copy.addNewState(stateId);
                 }
             }
             
-            // Apply critical hit chance
-            if (skillAnalysis.damage.critical) {
-                const criticalRate = (a.cri || 0) * (1 - (targetTraits.exParams.cev || 0));
-                if (Math.random() < criticalRate) {
-                    damage *= 3; // Critical damage multiplier
+            if (copy._buffs) {
+                for (let paramId = 0; paramId < copy._buffs.length; paramId++) {
+                    copy._buffs[paramId] = this.getProjectedBuff(battler, paramId);
                 }
             }
+        }
+        
+        // Probability that an action brings the target's HP to zero
+        getKillProbability(distribution, hp, givenHit = false) {
+            if (!distribution || distribution.type !== 'hp' || distribution.absorbs) return 0;
+            if (hp <= 0) return 1;
+            
+            const normal = this.getVarianceTailProbability(distribution.mean, distribution.amp, hp);
+            const critical = this.getVarianceTailProbability(distribution.critMean, distribution.critAmp, hp);
+            const killOnHit = normal * (1 - distribution.critChance) + critical * distribution.critChance;
             
-            // Guard consideration
-            if (target.isGuard && target.isGuard()) {
-                damage *= targetTraits.spParams.grd || 1.0;
+            return givenHit ? killOnHit : killOnHit * distribution.hitChance;
+        }
+        
+        // P(value + variance >= threshold) for the triangular variance of Game_Action.applyVariance
+        getVarianceTailProbability(value, amp, threshold) {
+            // Damage is rounded, so anything at threshold - 0.5 or above counts
+            const needed = threshold - 0.5 - value;
+            if (amp <= 0) return needed <= 0 ? 1 : 0;
+            
+            // Variance is randomInt(amp + 1) + randomInt(amp + 1) - amp
+            const n = Math.floor(amp) + 1;
+            const sum = Math.ceil(needed + amp);
+            if (sum <= 0) return 1;
+            if (sum > 2 * (n - 1)) return 0;
+            
+            let pairs;
+            if (sum <= n - 1) {
+                pairs = n * n - sum * (sum + 1) / 2;
+            } else {
+                const remaining = 2 * (n - 1) - sum + 1;
+                pairs = remaining * (remaining + 1) / 2;
             }
             
-            return Math.max(0, Math.floor(damage));
+            return pairs / (n * n);
+        }
+        
+        // Stable key for caching per battler
+        getBattlerKey(battler) {
+            if (!battler) return 'none';
+            return battler.isActor && battler.isActor() ? `actor_${battler.actorId()}` : `enemy_${battler.index()}`;
         }
         
         // Calculate effective defense
@@ -2622,6 +5466,9 @@
             // Get potential targets
             const targets = this.getPotentialTargetsEnhanced(action.skill, skillAnalysis);
             evaluation.targets = targets;
+            evaluation.targetWeights = skillAnalysis.targeting.random ?
+                this.getRandomTargetWeights(targets, skillAnalysis) : null;
+            this.targetWeights = evaluation.targetWeights;
             
             // Skip if no valid targets
             if ((!targets || targets.length === 0) && 
@@ -2638,7 +5485,7 @@
                 
                 for (const target of targets) {
                     const stateRisk = this.checkStateRemovalRisk(skillAnalysis, target);
-                    totalStateRisk += stateRisk.risk;
+                    totalStateRisk += stateRisk.risk * this.getTargetHitChance(target, skillAnalysis);
                     
                     // Check if high-value states are at risk
                     if (stateRisk.stateValue > 50) {
@@ -2650,7 +5497,7 @@
                 if (totalStateRisk > 0) {
                     evaluation.statePreservationScore = -totalStateRisk;
                     
-                    const params = getPluginParams();
+                    const params = this.getParams();
                     // If high-value states at risk, check for alternatives
                     if (highValueStatesAtRisk && totalStateRisk > 30) {
                         const alternatives = this.findAlternativeActions(skillAnalysis, targets);
@@ -2698,26 +5545,59 @@
                 evaluation.tacticalScore += this.calculateSpecialEffectScore(action, targets, skillAnalysis);
             }
             
+            // Dispelling the party and cleansing the troop are scored apart
+            if (skillAnalysis.categories.hasRemoval) {
+                evaluation.tacticalScore += this.calculateDispelScore(targets, skillAnalysis);
+                evaluation.survivalScore += this.calculateCleanseScore(targets, skillAnalysis);
+            }
+            
+            // Guard, defensive buffs and damage-cut states are worth the damage they prevent
+            if (skillAnalysis.targeting.type !== 'enemy') {
+                evaluation.survivalScore += this.calculateDefensiveScore(targets, skillAnalysis);
+            }
+            
+            // Answers to what the party is predicted to do next
+            evaluation.tacticalScore += this.calculateCounterplayScore(action, targets, skillAnalysis);
+            
             if (skillAnalysis.categories.hasTPEffect) {
                 evaluation.tacticalScore += this.calculateTPEffectScore(action, targets, skillAnalysis);
             }
             
+            // Charging toward a TP finisher, or spending the TP it needs
+            evaluation.tacticalScore += this.calculateChargeScore(skillAnalysis);
+            
             // Check for combo opportunities
             evaluation.comboScore = this.checkComboOpportunitiesEnhanced(skillAnalysis, targets);
             
             // Team coordination
             evaluation.teamScore = this.calculateTeamCoordinationScore(action, targets, skillAnalysis);
             
+            // Counters and reflections cancel the action on a target and turn it back on the user
+            const retaliation = this.calculateRetaliationRisk(targets, skillAnalysis);
+            evaluation.damageScore *= 1 - retaliation.blockedShare;
+            evaluation.supportScore *= 1 - retaliation.blockedShare;
+            evaluation.tacticalScore *= 1 - retaliation.blockedShare;
+            evaluation.survivalScore -= retaliation.risk;
+            
+            // Damage scores already include hit chance; the rest only lands on success
+            const successRate = skillAnalysis.successRate / 100;
+            if (!skillAnalysis.categories.isDamage) {
+                evaluation.survivalScore *= successRate;
+            }
+            evaluation.supportScore *= successRate;
+            evaluation.tacticalScore *= successRate;
+            
             // Apply historical success rate modifier
             const historyModifier = this.getHistoricalModifier(action.skillId);
             
             // Calculate final weighted score
-            const params = getPluginParams();
+            const params = this.getParams();
+            const weights = this.getScoreWeights();
             evaluation.totalScore = 
-                (evaluation.survivalScore * params.survivalWeight) +
-                (evaluation.damageScore * params.damageWeight) +
-                (evaluation.supportScore * params.supportWeight) +
-                (evaluation.tacticalScore * params.tacticalWeight) +
+                (evaluation.survivalScore * weights.survival) +
+                (evaluation.damageScore * weights.damage) +
+                (evaluation.supportScore * weights.support) +
+                (evaluation.tacticalScore * weights.tactical) +
                 (evaluation.teamScore * 0.2) +
                 (evaluation.comboScore * 0.15) +
                 (evaluation.statePreservationScore * params.statePreservationWeight);
@@ -2726,9 +5606,6 @@
             evaluation.totalScore *= this.calculateEfficiencyModifierEnhanced(action, skillAnalysis);
             evaluation.totalScore *= historyModifier;
             
-            // Apply hit rate and success rate penalties
-            evaluation.totalScore *= (skillAnalysis.successRate / 100);
-            
             // Apply difficulty multiplier
             const diffMultiplier = typeof this.difficultyBehavior.multiplier === 'function' ?
                 this.difficultyBehavior.multiplier() : this.difficultyBehavior.multiplier;
@@ -2737,6 +5614,13 @@
             // Apply role modifiers
             evaluation.totalScore *= this.getRoleModifier(skillAnalysis);
             
+            // Apply <ai_rule> notetags on top of the weighted score
+            evaluation.ruleEffects = EnemyRules.evaluate(this, evaluation);
+            evaluation.forbidden = EnemyRules.isForbidden(evaluation.ruleEffects);
+            evaluation.totalScore = evaluation.forbidden ? -1 :
+                EnemyRules.applyEffects(evaluation.totalScore, evaluation.ruleEffects);
+            
+            this.targetWeights = null;
             return evaluation;
         }
         
@@ -2745,11 +5629,11 @@
             if (!targets || !skillAnalysis) return 0;
             
             let score = 0;
-            const params = getPluginParams();
+            const params = this.getParams();
             
             for (const target of targets) {
-                const missingHp = target.mhp - target.hp;
-                const hpRatio = target.hp / target.mhp;
+                const missingHp = target.mhp - this.getProjectedHp(target);
+                const hpRatio = this.getProjectedHpRate(target);
                 
                 // Base healing value
                 let healValue = missingHp / target.mhp * 100;
@@ -2777,7 +5661,7 @@
                 const targetTraits = this.getTraitAnalysis(target);
                 healValue *= targetTraits.spParams.rec || 1.0;
                 
-                score += healValue;
+                score += healValue * this.getTargetWeight(target);
             }
             
             return score;
@@ -2785,21 +5669,19 @@
         
         // Estimate healing amount
         estimateHealingAmount(skillAnalysis, target) {
-            if (!skillAnalysis || !target || !skillAnalysis.damage || skillAnalysis.damage.type >= 0) return 0;
+            if (!skillAnalysis || !target || !skillAnalysis.damage || !skillAnalysis.categories.isHeal) return 0;
+            
+            const simulation = this.getSimulation(skillAnalysis, target);
+            if (simulation) {
+                return Math.max(0, -simulation.damageValue);
+            }
             
             const a = this.enemy;
             const b = target;
             const v = $gameVariables._data;
             
-            let healing = Math.abs(SafeFormulaEvaluator.evaluate(skillAnalysis.damage.formula, a, b, v));
-            
-            // Apply variance
-            if (skillAnalysis.damage.variance > 0) {
-                const variance = skillAnalysis.damage.variance;
-                const amp = Math.floor(Math.max(healing * variance / 100, 0));
-                const randomValue = Math.floor(Math.random() * (amp + 1));
-                healing += randomValue - amp / 2;
-            }
+            // Variance is symmetric, so the formula value is already the expected amount
+            let healing = Math.max(SafeFormulaEvaluator.evaluate(skillAnalysis.damage.formula, a, b, v, skillAnalysis.id), 0);
             
             // Apply recovery rate
             const targetTraits = this.getTraitAnalysis(target);
@@ -2817,43 +5699,50 @@
             if (!targets || !skillAnalysis) return 0;
             
             let score = 0;
-            const strategy = this.strategicAdaptation.getStrategyAdjustments();
+            const strategy = this.strategicAdaptation.getStrategyAdjustments(this.getParams());
             
             for (const target of targets) {
-                const damage = this.estimateDamageEnhanced(action.skill, target, skillAnalysis);
-                const targetHp = target.hp;
-                const lethalDamage = damage >= targetHp;
+                const distribution = this.getDamageDistribution(skillAnalysis, target);
+                if (!distribution) continue;
+                
+                const damage = distribution.expected;
+                const pool = this.getDamagePool(target, skillAnalysis);
+                const targetHp = pool.remaining;
                 
-                // Base damage score
-                let damageScore = (damage / target.mhp) * 50;
+                // Already covered by the rest of the troop: only worth it in case they miss
+                if (targetHp <= 0) {
+                    if (skillAnalysis.damage.type === 'hp') {
+                        const projectedHp = this.getProjectedHp(target);
+                        score += (Math.min(damage, projectedHp) / target.mhp) * 50 * 0.15 * this.getTargetWeight(target);
+                    }
+                    continue;
+                }
+                const killChance = this.getKillProbability(distribution, targetHp);
                 
-                // Lethal damage bonus
-                if (lethalDamage) {
-                    damageScore += 100;
+                // Base damage score (absorbed damage heals the target and scores negative)
+                let damageScore = (Math.min(damage, targetHp) / pool.max) * 50;
+                
+                // Lethal damage bonus, weighted by the chance to kill
+                if (killChance > 0) {
+                    damageScore += 100 * killChance;
                     const threat = this.assessThreatLevel(target);
                     if (threat > 0.7) {
-                        damageScore += 50; // High threat elimination
+                        damageScore += 50 * killChance; // High threat elimination
                     }
                 }
                 
                 // Overkill penalty
-                const overkill = Math.max(0, damage - targetHp);
+                const overkill = Math.max(0, distribution.meanOnHit - targetHp);
                 if (overkill > targetHp * 0.5) {
                     damageScore *= 0.8;
                 }
                 
-                // Team coordination
-                const expectedDamage = this.teamDecisions.expectedDamage[target.name()] || 0;
-                if (expectedDamage + damage > targetHp * 1.5) {
-                    damageScore *= 0.6; // Avoid over-focusing
-                }
-                
                 // Low HP target bonus
-                if (target.hp / target.mhp < 0.3) {
+                if (this.getProjectedHpRate(target) < 0.3) {
                     damageScore *= strategy.strategyMultipliers.lowHPBonus;
                 }
                 
-                score += damageScore;
+                score += damageScore * this.getTargetWeight(target);
             }
             
             return score;
@@ -2863,20 +5752,25 @@
         calculateDrainHealingScore(action, targets, skillAnalysis) {
             if (!targets || !skillAnalysis) return 0;
             
-            const missingHp = this.enemy.mhp - this.enemy.hp;
-            if (missingHp === 0) return 0;
+            // MP drain restores MP, which is worth less than HP here
+            const drainsMp = skillAnalysis.damage.type === 'mp';
+            const max = drainsMp ? this.enemy.mmp : this.enemy.mhp;
+            const missing = max - (drainsMp ? this.getProjectedMp(this.enemy) : this.getProjectedHp(this.enemy));
+            if (missing <= 0 || max <= 0) return 0;
             
+            // Drain restores what it deals, capped by the target's remaining HP/MP
             let totalDrain = 0;
             for (const target of targets) {
                 const damage = this.estimateDamageEnhanced(action.skill, target, skillAnalysis);
-                totalDrain += damage * 0.5; // Assume 50% drain rate
+                const remaining = drainsMp ? this.getProjectedMp(target) : this.getProjectedHp(target);
+                totalDrain += Math.max(0, Math.min(damage, remaining)) * this.getTargetWeight(target);
             }
             
-            const effectiveHeal = Math.min(totalDrain, missingHp);
-            let score = effectiveHeal / this.enemy.mhp * 100;
+            const effectiveHeal = Math.min(totalDrain, missing);
+            let score = effectiveHeal / max * (drainsMp ? 50 : 100);
             
             // Critical HP bonus
-            if (this.enemy.hp / this.enemy.mhp < 0.3) {
+            if (!drainsMp && this.getProjectedHpRate(this.enemy) < 0.3) {
                 score *= 2;
             }
             
@@ -2888,7 +5782,7 @@
             if (!targets || !skillAnalysis || !skillAnalysis.effects) return 0;
             
             let score = 0;
-            const params = getPluginParams();
+            const params = this.getParams();
             
             for (const effect of skillAnalysis.effects) {
                 if (effect.category === 'state_add') {
@@ -2898,8 +5792,9 @@
                     for (const target of targets) {
                         const targetTraits = this.getTraitAnalysis(target);
                         
-                        // Skip if already affected
-                        if (target.isStateAffected && target.isStateAffected(effect.stateId)) continue;
+                        // Skip if already affected, or about to fall to the rest of the troop
+                        if (this.isProjectedStateAffected(target, effect.stateId)) continue;
+                        if (target.isActor() && this.getUncommittedHp(target) <= 0) continue;
                         
                         // Check resistance from traits
                         if (targetTraits.stateResists.includes(effect.stateId)) continue;
@@ -2907,6 +5802,15 @@
                         const stateRate = targetTraits.stateRates[effect.stateId] || 1.0;
                         if (stateRate <= 0) continue;
                         
+                        // Chance to land, from the engine when simulated
+                        let chance = stateRate * (effect.chance / 100);
+                        const simulation = this.getSimulation(skillAnalysis, target);
+                        if (simulation) {
+                            const added = simulation.addedStates.find(state => state.stateId === effect.stateId);
+                            if (!added) continue;
+                            chance = added.chance;
+                        }
+                        
                         // Base score based on state category
                         let stateScore = params.statusEffectBonus;
                         
@@ -2925,7 +5829,7 @@
                                 
                             case 'damage_over_time':
                                 // More valuable on high HP targets
-                                stateScore += (target.hp / target.mhp) * 40;
+                                stateScore += this.getProjectedHpRate(target) * 40;
                                 // Consider slip damage amount
                                 if (stateAnalysis.effects.slipDamage < 0) {
                                     const dotDamage = target.mhp * Math.abs(stateAnalysis.effects.slipDamage) / 100;
@@ -2947,8 +5851,8 @@
                         // Priority modifier based on state priority
                         stateScore *= (stateAnalysis.priority / 50);
                         
-                        // Apply success chance with trait-based rate
-                        stateScore *= stateRate * (effect.chance / 100);
+                        // Apply success chance
+                        stateScore *= chance;
                         
                         // Consider pharmacology trait
                         if (this.enemy.traits) {
@@ -2962,7 +5866,7 @@
                             stateScore *= successRate;
                         }
                         
-                        score += stateScore;
+                        score += stateScore * this.getTargetHitChance(target, skillAnalysis);
                     }
                 }
             }
@@ -3022,7 +5926,7 @@
                     for (const target of targets) {
                         // Check current buff level
                         if (!target._buffs) continue;
-                        const currentBuff = target._buffs[effect.paramId] || 0;
+                        const currentBuff = this.getProjectedBuff(target, effect.paramId);
                         if (currentBuff >= 2) continue; // Max buff
                         
                         // Prioritize buffing high-damage dealers
@@ -3041,10 +5945,10 @@
                         }
                         
                         // Extra value for buffing healthy allies
-                        const hpRatio = target.hp / target.mhp;
+                        const hpRatio = this.getProjectedHpRate(target);
                         buffScore *= (0.5 + hpRatio * 0.5);
                         
-                        score += buffScore;
+                        score += buffScore * this.getTargetHitChance(target, skillAnalysis);
                     }
                 } else if (effect.category === 'debuff') {
                     // Debuff scoring
@@ -3057,7 +5961,7 @@
                         
                         // Check current debuff level
                         if (!target._buffs) continue;
-                        const currentDebuff = Math.abs(target._buffs[effect.paramId] || 0);
+                        const currentDebuff = Math.abs(this.getProjectedBuff(target, effect.paramId));
                         if (currentDebuff >= 2) continue; // Max debuff
                         
                         // Base debuff score
@@ -3082,7 +5986,224 @@
                         // Apply success chance
                         debuffScore *= (effect.chance || 100) / 100;
                         
-                        score += debuffScore;
+                        score += debuffScore * this.getTargetHitChance(target, skillAnalysis);
+                    }
+                }
+            }
+            
+            return score;
+        }
+        
+        // Score for stripping beneficial states and buffs off the party
+        calculateDispelScore(targets, skillAnalysis) {
+            if (!targets) return 0;
+            
+            let score = 0;
+            for (const target of targets) {
+                if (!target.isActor || !target.isActor()) continue;
+                score += this.getDispelValue(target, skillAnalysis) * this.getTargetHitChance(target, skillAnalysis);
+            }
+            return score;
+        }
+        
+        // Score for clearing harmful states and debuffs off the troop
+        calculateCleanseScore(targets, skillAnalysis) {
+            if (!targets) return 0;
+            
+            let score = 0;
+            for (const target of targets) {
+                if (!target.isEnemy || !target.isEnemy()) continue;
+                score += this.getCleanseValue(target, skillAnalysis);
+            }
+            return score;
+        }
+        
+        // Value of removals on an actor: what its buffs and good states would still give it,
+        // less the troop's own ailments and debuffs that would be lifted with them
+        getDispelValue(target, skillAnalysis) {
+            return -this.getRemovalBalance(target, skillAnalysis);
+        }
+        
+        // Value of removals on a troop member: the harm its ailments and debuffs would still do,
+        // less any good states and buffs lost with them
+        getCleanseValue(target, skillAnalysis) {
+            return this.getRemovalBalance(target, skillAnalysis);
+        }
+        
+        // Harm minus benefit of everything the removal effects would take off a battler
+        getRemovalBalance(target, skillAnalysis) {
+            let balance = 0;
+            
+            for (const effect of skillAnalysis.effects) {
+                if (effect.category === 'state_remove') {
+                    const state = $dataStates[effect.stateId];
+                    if (!state || !this.isProjectedStateAffected(target, effect.stateId)) continue;
+                    
+                    const chance = Math.min(1, (effect.chance || 100) / 100);
+                    balance += (StateAnalyzer.getHarmValue(state, target) - StateAnalyzer.getBenefitValue(state, target)) * chance;
+                } else if (effect.category === 'buff_remove') {
+                    const level = this.getProjectedBuff(target, effect.paramId);
+                    const removes = effect.type === 'remove_buff' ? level > 0 : level < 0;
+                    if (!removes) continue;
+                    
+                    // Each level is worth about a quarter of the stat, for the turns it has left
+                    const turns = target._buffTurns ? target._buffTurns[effect.paramId] || 1 : 1;
+                    const value = 25 * Math.abs(level) * Math.min(turns, 5) / 3 * this.getBuffParamWeight(target, effect.paramId);
+                    balance += level < 0 ? value : -value;
+                }
+            }
+            
+            return balance;
+        }
+        
+        // How much a battler relies on a parameter: its main attack stat and agility matter most
+        getBuffParamWeight(battler, paramId) {
+            switch (paramId) {
+                case 2: return battler.atk >= battler.mat ? 1.3 : 0.7;
+                case 4: return battler.mat > battler.atk ? 1.3 : 0.7;
+                case 3:
+                case 5: return 1.0;
+                case 6: return 1.1;
+                default: return 0.6;
+            }
+        }
+        
+        // Expected damage the party deals to a troop member next round, split by hit type
+        getIncomingDamage(battler) {
+            if (this.incomingDamageCache.has(battler)) {
+                return this.incomingDamageCache.get(battler);
+            }
+            
+            const incoming = { physical: 0, magical: 0, certain: 0, total: 0 };
+            const troop = $gameTroop.aliveMembers();
+            const tgrTotal = troop.reduce((sum, member) => sum + (member.tgr ?? 1), 0);
+            const targetShare = tgrTotal > 0 ? (battler.tgr ?? 1) / tgrTotal : 0;
+            
+            for (const actor of $gameParty.aliveMembers()) {
+                if (!actor.canMove()) continue;
+                
+                // Likely skills from the actor model, hedged with the normal attack
+                const options = PlayerProfiler.getLikelyActions(actor);
+                
+                // The hardest hit this actor has landed on the troop sets a floor
+                const caps = this.battleMemory.targetCapabilities[actor.name()];
+                const observed = caps ? caps.maxDamageObserved * 0.6 : 0;
+                
+                for (const option of options) {
+                    const skillAnalysis = this.getSkillAnalysis(option.skillId);
+                    if (!skillAnalysis || !skillAnalysis.categories.isDamage || skillAnalysis.targeting.type !== 'enemy') continue;
+                    
+                    const distribution = this.getDamageDistribution(skillAnalysis, battler, actor);
+                    if (!distribution) continue;
+                    
+                    const chance = skillAnalysis.targeting.all ? 1 : Math.min(1, targetShare * (skillAnalysis.targeting.count || 1));
+                    const damage = Math.max(distribution.expected, observed) * chance * option.probability;
+                    const type = skillAnalysis.hitType === 1 ? 'physical' : skillAnalysis.hitType === 2 ? 'magical' : 'certain';
+                    incoming[type] += damage;
+                    incoming.total += damage;
+                }
+            }
+            
+            this.incomingDamageCache.set(battler, incoming);
+            return incoming;
+        }
+        
+        // Score for the damage an action prevents on its troop targets
+        calculateDefensiveScore(targets, skillAnalysis) {
+            if (!targets || targets.length === 0) return 0;
+            
+            let score = 0;
+            for (const target of targets) {
+                if (!target.isEnemy || !target.isEnemy()) continue;
+                
+                const incoming = this.getIncomingDamage(target);
+                if (incoming.total <= 0) continue;
+                
+                let prevented = 0;
+                for (const effect of skillAnalysis.effects) {
+                    if (effect.category === 'state_add') {
+                        const state = $dataStates[effect.stateId];
+                        if (!state || this.isProjectedStateAffected(target, effect.stateId)) continue;
+                        const chance = (effect.chance || 100) / 100;
+                        const turns = Math.min(3, Math.max(1, state.maxTurns || 1));
+                        
+                        // Guarding divides damage by 2 * grd for the rest of the turn
+                        if (state.traits.some(trait => trait.code === 62 && trait.dataId === 1)) {
+                            prevented += incoming.total * (1 - 1 / (2 * (target.grd || 1))) * chance;
+                        }
+                        
+                        // Physical and magical damage rates
+                        for (const trait of state.traits) {
+                            if (trait.code === 23 && trait.dataId === 6 && trait.value < 1) {
+                                prevented += incoming.physical * (1 - trait.value) * chance * turns;
+                            } else if (trait.code === 23 && trait.dataId === 7 && trait.value < 1) {
+                                prevented += incoming.magical * (1 - trait.value) * chance * turns;
+                            }
+                        }
+                    } else if (effect.code === 31 && (effect.paramId === 3 || effect.paramId === 5)) {
+                        // Each defense level cuts roughly 15% of the matching damage
+                        if (this.getProjectedBuff(target, effect.paramId) >= 2) continue;
+                        const damage = effect.paramId === 3 ? incoming.physical : incoming.magical;
+                        prevented += damage * 0.15 * Math.min(3, effect.turns || 1);
+                    }
+                }
+                if (prevented <= 0) continue;
+                
+                score += (prevented / target.mhp) * 60;
+                
+                // Surviving a round that would otherwise be lethal
+                const hp = this.getProjectedHp(target);
+                if (incoming.total >= hp && incoming.total - prevented < hp) {
+                    score += 80;
+                }
+            }
+            
+            return score;
+        }
+        
+        // Score for countering trusted predictions: interrupting heals, stripping buffs before
+        // a damage burst, and protecting allies ahead of a big hit or area attack
+        calculateCounterplayScore(action, targets, skillAnalysis) {
+            const predictions = this.battleState ? this.battleState.predictedActions : null;
+            if (!predictions || !targets || targets.length === 0) return 0;
+            
+            let score = 0;
+            for (const prediction of Object.values(predictions)) {
+                const actor = prediction.actor;
+                const predicted = prediction.skillAnalysis;
+                const weight = prediction.probability;
+                
+                if (targets.includes(actor)) {
+                    // Stop a predicted heal or revive
+                    if (predicted.categories.isHeal || predicted.categories.isRevive) {
+                        score += this.getInterruptChance(skillAnalysis, actor, predicted) * 50 * weight;
+                    }
+                    
+                    // Strip the ATK or MAT buff a predicted attack would use
+                    if (predicted.categories.isDamage) {
+                        const paramId = predicted.hitType === 2 ? 4 : 2;
+                        const level = this.getProjectedBuff(actor, paramId);
+                        if (level > 0 && skillAnalysis.effects.some(effect =>
+                            (effect.code === 32 || effect.code === 33) && effect.paramId === paramId)) {
+                            score += 25 * level * weight;
+                        }
+                    }
+                }
+                
+                // Protect troop members a predicted attack would hit hard
+                if (predicted.categories.isDamage && predicted.targeting.type === 'enemy' &&
+                    skillAnalysis.targeting.type !== 'enemy' && this.isProtectiveAction(skillAnalysis)) {
+                    const troop = $gameTroop.aliveMembers();
+                    const tgrTotal = troop.reduce((sum, member) => sum + (member.tgr ?? 1), 0);
+                    for (const ally of targets) {
+                        if (!ally.isEnemy || !ally.isEnemy() || ally.isDead()) continue;
+                        const distribution = this.getDamageDistribution(predicted, ally, actor);
+                        if (!distribution) continue;
+                        
+                        const chance = predicted.targeting.all ? 1 : Math.min(1, (ally.tgr ?? 1) / Math.max(tgrTotal, 0.001));
+                        const hp = this.getProjectedHp(ally);
+                        if (distribution.expected < hp * 0.3) continue;
+                        score += (distribution.expected >= hp ? 60 : 30) * chance * weight;
                     }
                 }
             }
@@ -3090,6 +6211,41 @@
             return score;
         }
         
+        // Chance an action stops an actor from using a predicted skill next turn
+        getInterruptChance(skillAnalysis, target, predicted) {
+            const targetTraits = this.getTraitAnalysis(target);
+            let best = 0;
+            
+            for (const effect of skillAnalysis.effects) {
+                if (effect.category !== 'state_add' || this.isProjectedStateAffected(target, effect.stateId)) continue;
+                const state = $dataStates[effect.stateId];
+                if (!state || targetTraits.stateResists.includes(effect.stateId)) continue;
+                
+                // Unable to move, acting on its own, or barred from the skill or its type
+                let stops = state.restriction >= 4 ? 1 : state.restriction >= 1 ? 0.7 : 0;
+                if (state.traits.some(trait => (trait.code === 42 && trait.dataId === predicted.skill.stypeId) ||
+                    (trait.code === 44 && trait.dataId === predicted.id))) {
+                    stops = 1;
+                }
+                
+                const chance = (effect.chance / 100) * (targetTraits.stateRates[effect.stateId] ?? 1.0);
+                best = Math.max(best, stops * Math.min(1, chance));
+            }
+            
+            return best;
+        }
+        
+        // Heals, guards, damage-cut states and DEF/MDF buffs
+        isProtectiveAction(skillAnalysis) {
+            if (skillAnalysis.categories.isHeal) return true;
+            return skillAnalysis.effects.some(effect => {
+                if (effect.code === 31) return effect.paramId === 3 || effect.paramId === 5;
+                if (effect.category !== 'state_add' || !$dataStates[effect.stateId]) return false;
+                return $dataStates[effect.stateId].traits.some(trait => (trait.code === 62 && trait.dataId === 1) ||
+                    (trait.code === 23 && (trait.dataId === 6 || trait.dataId === 7) && trait.value < 1));
+            });
+        }
+        
         // Calculate special effect score
         calculateSpecialEffectScore(action, targets, skillAnalysis) {
             if (!skillAnalysis || !skillAnalysis.effects) return 0;
@@ -3100,9 +6256,15 @@
                 switch (effect.category) {
                     case 'special':
                         if (effect.type === 'escape') {
-                            // Escape more valuable when losing
-                            if (this.battleState.allyAvgHpRatio < 0.3) {
-                                score += 50;
+                            // Escape skills are worth what fleeing is worth, and more when losing
+                            const losing = this.battleState.allyAvgHpRatio < 0.3 ? 0.5 : 0;
+                            score += Math.max(this.getFleeDesire(), losing) * 100;
+                        } else if (effect.type === 'resurrect') {
+                            // Revives are worth what the fallen allies would still do
+                            for (const target of targets || []) {
+                                if (target.isDead() && target.isEnemy()) {
+                                    score += this.getRevivalValue(target, skillAnalysis);
+                                }
                             }
                         } else if (effect.type === 'common_event') {
                             // Unknown effect, moderate value
@@ -3157,7 +6319,7 @@
             if (!skillAnalysis || !targets || !this.battleState) return 0;
             
             let comboScore = 0;
-            const params = getPluginParams();
+            const params = this.getParams();
             
             // Check battle state combos
             for (const combo of this.battleState.comboPotential) {
@@ -3173,11 +6335,12 @@
                                 const remainingTurns = StateAnalyzer.estimateRemainingTurns(sleepState, comboTarget);
                                 
                                 // Only break sleep if it's about to expire or we can secure a kill
-                                const damage = this.estimateDamageEnhanced(skillAnalysis.skill, comboTarget, skillAnalysis);
-                                const isLethal = damage >= comboTarget.hp;
+                                const distribution = this.getDamageDistribution(skillAnalysis, comboTarget);
+                                const killChance = distribution ? this.getKillProbability(distribution, this.getProjectedHp(comboTarget)) : 0;
+                                const isLethal = killChance >= 0.5;
                                 
                                 if (isLethal) {
-                                    comboScore += 100; // High value for securing a kill
+                                    comboScore += 100 * killChance; // High value for securing a kill
                                 } else if (remainingTurns <= params.minStateValueThreshold) {
                                     comboScore += 50; // State is about to expire anyway
                                 } else {
@@ -3238,20 +6401,8 @@
             // Check if other allies are targeting the same enemy
             const teamDec = this.teamDecisions;
             
-            if (skillAnalysis.categories.isDamage && targets.length > 0) {
-                const targetName = targets[0].name();
-                const alliesTargeting = teamDec.targetAssignments[targetName]?.length || 0;
-                
-                // Coordinate on low HP targets
-                if (targets[0].hp / targets[0].mhp < 0.3) {
-                    score += alliesTargeting * 10;
-                }
-                
-                // Avoid over-targeting
-                if (alliesTargeting > 2) {
-                    score -= (alliesTargeting - 2) * 5;
-                }
-            }
+            // Targeting and role of the action follow the troop doctrine
+            score += this.calculateDoctrineScore(TroopDoctrine.getDoctrine(), action, targets, skillAnalysis);
             
             // Healing coordination
             if (skillAnalysis.categories.isHeal && targets.length > 0) {
@@ -3280,75 +6431,467 @@
             return score;
         }
         
-        // Calculate efficiency modifier
-        calculateEfficiencyModifierEnhanced(action, skillAnalysis) {
-            if (!action || !skillAnalysis) return 1.0;
+        // Team score from the troop's <ai_doctrine>
+        calculateDoctrineScore(doctrine, action, targets, skillAnalysis) {
+            const teamDec = this.teamDecisions;
+            const categories = skillAnalysis.categories;
+            const partyTargets = targets.filter(target => target.isActor && target.isActor());
+            const alliesOn = target => teamDec.targetAssignments[target.name()]?.length || 0;
+            let score = 0;
+            
+            switch (doctrine) {
+                case 'focus':
+                    // Pile onto whoever the troop already picked, the weaker the better
+                    if (categories.isDamage && partyTargets.length > 0) {
+                        const target = partyTargets[0];
+                        score += alliesOn(target) * 12;
+                        score += (1 - this.getProjectedHpRate(target)) * 20;
+                    }
+                    break;
+                
+                case 'spread':
+                    // Keep the whole party under pressure
+                    if ((categories.isDamage || categories.hasStatusEffect || categories.hasDebuff || categories.hasRemoval) &&
+                        partyTargets.length > 0) {
+                        for (const target of partyTargets) {
+                            score += alliesOn(target) === 0 ? 10 : -alliesOn(target) * 10;
+                        }
+                        score /= partyTargets.length;
+                    }
+                    break;
+                
+                case 'protect': {
+                    const leader = TroopDoctrine.getLeader();
+                    if (!leader) break;
+                    
+                    // Heal, buff and cleanse the leader, the more it is hurt the more
+                    if (targets.includes(leader) && (categories.isHeal || categories.hasBuff || categories.hasRemoval)) {
+                        score += 15 + (1 - this.getProjectedHpRate(leader)) * 30;
+                    }
+                    
+                    // Attack and disable the party's hardest hitter
+                    const threat = $gameParty.aliveMembers().reduce((best, actor) =>
+                        !best || Math.max(actor.atk, actor.mat) > Math.max(best.atk, best.mat) ? actor : best, null);
+                    if (threat && partyTargets.includes(threat) &&
+                        (categories.isDamage || categories.hasStatusEffect || categories.hasDebuff || categories.hasRemoval)) {
+                        score += 15;
+                    }
+                    break;
+                }
+                
+                case 'attrition':
+                    // Cheap damage over time, debuffs and dispels; expensive burst is wasted
+                    if ((categories.hasStatusEffect || categories.hasDebuff || categories.hasRemoval) && partyTargets.length > 0) {
+                        score += 15;
+                    }
+                    if (categories.isDamage && (action.mpCost > 0 || action.tpCost > 0)) {
+                        const costRate = Math.max(action.mpCost / Math.max(this.enemy.mmp, 1), action.tpCost / 100);
+                        score -= Math.min(costRate, 1) * 30;
+                    }
+                    break;
+                
+                case 'alpha':
+                    // Everything into damage now, the bigger and wider the better
+                    if (categories.isDamage && partyTargets.length > 0) {
+                        score += 20 + (partyTargets.length - 1) * 5;
+                    } else if (!categories.isHeal) {
+                        score -= 15;
+                    }
+                    break;
+                
+                default:
+                    if (categories.isDamage && targets.length > 0) {
+                        const alliesTargeting = alliesOn(targets[0]);
+                        
+                        // Coordinate on low HP targets
+                        if (this.getProjectedHpRate(targets[0]) < 0.3) {
+                            score += alliesTargeting * 10;
+                        }
+                        
+                        // Avoid over-targeting
+                        if (alliesTargeting > 2) {
+                            score -= (alliesTargeting - 2) * 5;
+                        }
+                    }
+            }
+            
+            return score;
+        }
+        
+        // Chance that counters (physical) and magic reflection (magical) cancel the action on its
+        // targets, and the expected cost to this enemy of the counter attacks and reflected skills
+        calculateRetaliationRisk(targets, skillAnalysis) {
+            const none = { blockedShare: 0, risk: 0 };
+            if (!targets || targets.length === 0 || ![1, 2].includes(skillAnalysis.hitType)) return none;
+            
+            const opponents = targets.filter(target => target.isActor && target.isActor());
+            if (opponents.length === 0) return none;
+            
+            const hp = this.getProjectedHp(this.enemy);
+            let blocked = 0;
+            let totalWeight = 0;
+            let risk = 0;
+            
+            for (const target of opponents) {
+                const weight = this.getTargetWeight(target);
+                totalWeight += weight;
+                
+                // Same order as BattleManager.invokeAction: counter first, then reflection
+                const counterChance = skillAnalysis.hitType === 1 && target.canMove() ? target.cnt || 0 : 0;
+                const reflectChance = skillAnalysis.hitType === 2 ? (1 - counterChance) * (target.mrf || 0) : 0;
+                if (counterChance + reflectChance <= 0) continue;
+                blocked += (counterChance + reflectChance) * weight;
+                
+                // The target's normal attack against this enemy
+                if (counterChance > 0) {
+                    const attackAnalysis = this.getSkillAnalysis(target.attackSkillId ? target.attackSkillId() : 1);
+                    const distribution = attackAnalysis ? this.getDamageDistribution(attackAnalysis, this.enemy, target) : null;
+                    risk += counterChance * weight * this.getSelfDamageCost(distribution, hp);
+                }
+                
+                // This skill against this enemy, with its own element rates and resistances
+                if (reflectChance > 0) {
+                    const distribution = skillAnalysis.categories.isDamage ?
+                        this.getDamageDistribution(skillAnalysis, this.enemy, this.enemy) : null;
+                    risk += reflectChance * weight * (this.getSelfDamageCost(distribution, hp) +
+                        this.getReflectedEffectCost(skillAnalysis));
+                }
+            }
+            
+            return { blockedShare: totalWeight > 0 ? blocked / totalWeight : 0, risk: risk };
+        }
+        
+        // Score lost when this enemy takes damage from a distribution
+        getSelfDamageCost(distribution, hp) {
+            if (!distribution || distribution.expected <= 0 || !this.enemy.mhp) return 0;
+            const killChance = this.getKillProbability(distribution, hp);
+            return (Math.min(distribution.expected, hp) / this.enemy.mhp) * 100 + killChance * 150;
+        }
+        
+        // Score lost when a reflected skill's states and debuffs land on this enemy
+        getReflectedEffectCost(skillAnalysis) {
+            const traits = this.getTraitAnalysis(this.enemy);
+            let cost = 0;
+            
+            for (const effect of skillAnalysis.effects) {
+                if (effect.category === 'state_add') {
+                    if (traits.stateResists.includes(effect.stateId)) continue;
+                    const stateRate = traits.stateRates[effect.stateId] ?? 1.0;
+                    cost += StateAnalyzer.getStateValue($dataStates[effect.stateId], this.enemy) *
+                        stateRate * (effect.chance / 100);
+                } else if (effect.code === 32) {
+                    cost += 10 * (traits.debuffRates[effect.paramId] ?? 1.0);
+                }
+            }
+            return cost;
+        }
+        
+        // Calculate efficiency modifier
+        calculateEfficiencyModifierEnhanced(action, skillAnalysis) {
+            if (!action || !skillAnalysis) return 1.0;
+            
+            let modifier = 1.0;
+            const myTraits = this.getTraitAnalysis(this.enemy);
+            
+            // Cost efficiency: spread MP and TP over the expected length of the battle
+            if (action.mpCost > 0) {
+                const effectiveMpCost = action.mpCost * (myTraits.spParams.mcr || 1.0);
+                modifier *= this.getBudgetModifier(effectiveMpCost, this.getResourceBudget('mp', action.skillId));
+            }
+            
+            if (action.tpCost > 0) {
+                modifier *= this.getBudgetModifier(action.tpCost, this.getResourceBudget('tp', action.skillId));
+            }
+            
+            // Speed modifier - faster skills in critical situations
+            if (this.battleState && this.battleState.enemyHpRatio < 0.3) {
+                const effectiveSpeed = skillAnalysis.speed + (myTraits.attackSpeed || 0);
+                modifier *= (200 - effectiveSpeed) / 200; // Prefer fast skills
+            }
+            
+            // Repeat modifier - more valuable when winning
+            if (skillAnalysis.repeats > 1) {
+                if (this.battleState && this.battleState.allyAvgHpRatio > this.battleState.enemyAvgHpRatio) {
+                    modifier *= 1.2; // Capitalize on advantage
+                }
+            }
+            
+            // Action times bonus
+            if (myTraits.actionTimes > 0) {
+                modifier *= 1 + (myTraits.actionTimes * 0.1);
+            }
+            
+            // Rating modifier
+            if (action.rating) {
+                modifier *= (action.rating + 2) / 7;
+            }
+            
+            // Situation modifiers
+            const turn = this.battleMemory.turnCount;
+            
+            // Early battle
+            if (turn < 3) {
+                if (skillAnalysis.categories.hasStatusEffect) modifier *= 1.3;
+                if (skillAnalysis.categories.hasBuff) modifier *= 1.4;
+                if (skillAnalysis.categories.hasDebuff) modifier *= 1.3;
+            }
+            // Late battle
+            else if (turn > 10) {
+                if (skillAnalysis.categories.isDamage) modifier *= 1.2;
+                if (skillAnalysis.categories.hasStatusEffect && !skillAnalysis.categories.isDamage) {
+                    modifier *= 0.7; // Less time for status
+                }
+            }
+            
+            return modifier;
+        }
+        
+        // Turns until either side runs out of HP at the current damage rates
+        estimateBattleLength() {
+            if (this.battleLengthEstimate !== null) {
+                return this.battleLengthEstimate;
+            }
+            
+            const party = $gameParty.aliveMembers();
+            const troop = $gameTroop.aliveMembers();
+            
+            let troopHp = 0;
+            let partyDamage = 0;
+            let troopDamage = 0;
+            for (const member of troop) {
+                troopHp += this.getProjectedHp(member);
+                partyDamage += this.getIncomingDamage(member).total;
+                
+                // Troop damage rate from each member's normal attack on an average actor
+                const attackAnalysis = this.getSkillAnalysis(member.attackSkillId ? member.attackSkillId() : 1);
+                if (!member.canMove() || !attackAnalysis || party.length === 0) continue;
+                for (const actor of party) {
+                    const distribution = this.getDamageDistribution(attackAnalysis, actor, member);
+                    if (distribution) troopDamage += distribution.expected / party.length;
+                }
+            }
+            const partyHp = party.reduce((sum, actor) => sum + this.getProjectedHp(actor), 0);
+            
+            const turnsToWin = troopDamage > 0 ? partyHp / troopDamage : Infinity;
+            const turnsToLose = partyDamage > 0 ? troopHp / partyDamage : Infinity;
+            this.battleLengthEstimate = Math.max(1, Math.min(20, Math.ceil(Math.min(turnsToWin, turnsToLose))));
+            if (!isFinite(this.battleLengthEstimate)) this.battleLengthEstimate = 20;
+            
+            return this.battleLengthEstimate;
+        }
+        
+        // MP or TP this enemy can spend per turn over the rest of the battle, after reserves
+        getResourceBudget(resource, skillId) {
+            const traits = this.getTraitAnalysis(this.enemy);
+            const horizon = this.estimateBattleLength();
+            
+            let current;
+            let regen;
+            if (resource === 'mp') {
+                current = this.getProjectedMp(this.enemy);
+                regen = (traits.exParams.mrg || 0) * this.enemy.mmp;
+            } else {
+                current = this.getProjectedTp(this.enemy);
+                regen = this.getPassiveTpGain();
+            }
+            
+            // <ai_reserve> skills keep their cost aside, except for the reserved skill itself
+            let reserve = 0;
+            for (const action of EnemyPhases.getActionList(this.enemy)) {
+                const skill = $dataSkills[action.skillId];
+                if (!skill || action.skillId === skillId) continue;
+                const match = (skill.note || '').match(/<ai_reserve(?::\s*(\d+))?>/i);
+                if (!match) continue;
+                const cost = resource === 'mp' ? skill.mpCost * (traits.spParams.mcr || 1.0) : skill.tpCost;
+                reserve = Math.max(reserve, cost * (match[1] ? Number(match[1]) : 1));
+            }
+            
+            return {
+                horizon: horizon,
+                spendable: current - reserve,
+                perTurn: Math.max(0, current + regen * (horizon - 1) - reserve) / horizon
+            };
+        }
+        
+        // TP gained each turn without spending an action on it: regeneration and damage taken
+        getPassiveTpGain() {
+            const traits = this.getTraitAnalysis(this.enemy);
+            const charge = (this.getIncomingDamage(this.enemy).total / this.enemy.mhp) * 50;
+            return (traits.exParams.trg || 0) * 100 + charge * (traits.spParams.tcr || 1.0);
+        }
+        
+        // TP left after using a skill now
+        getTpAfterSkill(skillAnalysis) {
+            const profile = skillAnalysis.tpProfile;
+            const tcr = this.getTraitAnalysis(this.enemy).spParams.tcr || 1.0;
+            const maxTp = this.enemy.maxTp ? this.enemy.maxTp() : 100;
+            const tp = this.getProjectedTp(this.enemy) - profile.cost + Math.floor(profile.gain * tcr) + profile.selfGain;
+            return Math.max(0, Math.min(maxTp, tp));
+        }
+        
+        // The most valuable skill this enemy cannot afford yet, and how fast it can charge toward it
+        getFinisherPlan() {
+            if (this.finisherPlan !== undefined) {
+                return this.finisherPlan;
+            }
             
-            let modifier = 1.0;
-            const myTraits = this.getTraitAnalysis(this.enemy);
+            const tp = this.getProjectedTp(this.enemy);
+            const maxTp = this.enemy.maxTp ? this.enemy.maxTp() : 100;
+            let plan = null;
+            let chargeRate = 0;
             
-            // Cost efficiency
-            if (action.mpCost > 0) {
-                const effectiveMpCost = action.mpCost * (myTraits.spParams.mcr || 1.0);
-                const mpRatio = this.enemy.mp / this.enemy.mmp;
+            for (const action of EnemyPhases.getActionList(this.enemy)) {
+                const skillAnalysis = this.getSkillAnalysis(action.skillId);
+                if (!skillAnalysis) continue;
                 
-                if (mpRatio < 0.3 && effectiveMpCost > this.enemy.mmp * 0.2) {
-                    modifier *= 0.5;
-                } else if (mpRatio < 0.1) {
-                    modifier *= 0.2;
+                const profile = skillAnalysis.tpProfile;
+                if (profile.cost > tp && profile.cost <= maxTp) {
+                    const value = this.getSkillValue(skillAnalysis);
+                    if (value > 0 && (!plan || value > plan.value)) {
+                        plan = { skillId: action.skillId, cost: profile.cost, value: value };
+                    }
+                } else if (profile.cost === 0) {
+                    chargeRate = Math.max(chargeRate, this.getTpAfterSkill(skillAnalysis) - tp);
                 }
             }
             
-            if (action.tpCost > 0) {
-                const effectiveTpCost = action.tpCost * (myTraits.spParams.tcr || 1.0);
-                const tpRatio = this.enemy.tp / 100;
-                
-                if (tpRatio < 0.3 && effectiveTpCost > 30) {
-                    modifier *= 0.7;
-                }
+            if (plan) {
+                plan.chargeRate = chargeRate;
+            }
+            this.finisherPlan = plan;
+            return plan;
+        }
+        
+        // Rough value of a troop member landing a skill right now, on the same scale as the other scores
+        getSkillValue(skillAnalysis, subject = this.enemy) {
+            const party = $gameParty.aliveMembers();
+            
+            if (skillAnalysis.categories.isDamage && skillAnalysis.targeting.type === 'enemy') {
+                const values = party.map(actor => {
+                    const distribution = this.getDamageDistribution(skillAnalysis, actor, subject);
+                    const hp = this.getProjectedHp(actor);
+                    return distribution && hp > 0 ? Math.min(1, distribution.expected / hp) * 100 : 0;
+                });
+                if (values.length === 0) return 0;
+                return skillAnalysis.targeting.all || skillAnalysis.targeting.random ?
+                    values.reduce((sum, value) => sum + value, 0) : Math.max(...values);
             }
             
-            // Speed modifier - faster skills in critical situations
-            if (this.battleState && this.battleState.enemyHpRatio < 0.3) {
-                const effectiveSpeed = skillAnalysis.speed + (myTraits.attackSpeed || 0);
-                modifier *= (200 - effectiveSpeed) / 200; // Prefer fast skills
+            if (skillAnalysis.categories.isHeal) {
+                return $gameTroop.aliveMembers().reduce((sum, ally) =>
+                    sum + (1 - this.getProjectedHpRate(ally)) * 100, 0);
             }
             
-            // Repeat modifier - more valuable when winning
-            if (skillAnalysis.repeats > 1) {
-                if (this.battleState && this.battleState.allyAvgHpRatio > this.battleState.enemyAvgHpRatio) {
-                    modifier *= 1.2; // Capitalize on advantage
+            return skillAnalysis.categories.hasBuff || skillAnalysis.categories.hasStatusEffect ? 30 : 0;
+        }
+        
+        // HP a fallen ally comes back with: what the skill recovers, or 1 from the revival alone
+        getRevivalHp(ally, skillAnalysis) {
+            const rec = this.getTraitAnalysis(ally).spParams.rec || 1.0;
+            let hp = 0;
+            for (const effect of skillAnalysis.effects) {
+                if (effect.code === 11) {
+                    hp += Math.floor((ally.mhp * effect.value1 + effect.value2) * rec);
                 }
             }
-            
-            // Action times bonus
-            if (myTraits.actionTimes > 0) {
-                modifier *= 1 + (myTraits.actionTimes * 0.1);
+            if (skillAnalysis.categories.isHeal && skillAnalysis.damage.type === 'hp') {
+                hp += this.estimateHealingAmount(skillAnalysis, ally);
+            }
+            return Math.min(ally.mhp, Math.max(1, hp));
+        }
+        
+        // What a fallen ally would still add: its best remaining skill each turn, for as many
+        // turns as the restored HP lets it last against the party's damage
+        getRevivalValue(ally, skillAnalysis) {
+            const restored = this.getRevivalHp(ally, skillAnalysis);
+            const incoming = this.getIncomingDamage(ally).total;
+            const horizon = this.estimateBattleLength();
+            const turns = incoming > 0 ? Math.min(horizon, Math.max(0.5, restored / incoming)) : horizon;
+            
+            // Skills it can still pay for
+            const mcr = this.getTraitAnalysis(ally).spParams.mcr || 1.0;
+            const mp = this.getProjectedMp(ally);
+            const tp = this.getProjectedTp(ally);
+            let perTurn = 0;
+            let skillsLeft = 0;
+            for (const action of EnemyPhases.getActionList(ally)) {
+                const skill = $dataSkills[action.skillId];
+                if (!skill || skill.mpCost * mcr > mp || skill.tpCost > tp) continue;
+                const analysis = this.getSkillAnalysis(action.skillId);
+                if (!analysis) continue;
+                skillsLeft++;
+                perTurn = Math.max(perTurn, this.getSkillValue(analysis, ally));
             }
             
-            // Rating modifier
-            if (action.rating) {
-                modifier *= (action.rating + 2) / 7;
+            // Healers and support keep the rest of the troop going
+            const roleMultipliers = { healer: 1.5, support: 1.3, dps: 1.2, controller: 1.2, tank: 1.1 };
+            perTurn *= roleMultipliers[this.getEnemyRole(ally)] || 1.0;
+            perTurn *= 1 + Math.min(6, skillsLeft) * 0.05;
+            if (/<ai_leader>/i.test(ally.enemy().note || '')) {
+                perTurn *= 1.3;
             }
             
-            // Situation modifiers
-            const turn = this.battleMemory.turnCount;
+            // Another troop member is already bringing it back
+            if (this.teamDecisions.healingAssigned[ally.name()]) {
+                perTurn *= 0.1;
+            }
             
-            // Early battle
-            if (turn < 3) {
-                if (skillAnalysis.categories.hasStatusEffect) modifier *= 1.3;
-                if (skillAnalysis.categories.hasBuff) modifier *= 1.4;
-                if (skillAnalysis.categories.hasDebuff) modifier *= 1.3;
+            return perTurn * turns;
+        }
+        
+        // Setup actions score by the finisher they bring closer; spending its TP elsewhere costs
+        calculateChargeScore(skillAnalysis) {
+            const plan = this.getFinisherPlan();
+            if (!plan || skillAnalysis.id === plan.skillId) return 0;
+            
+            const tp = this.getProjectedTp(this.enemy);
+            const gain = this.getTpAfterSkill(skillAnalysis) - tp;
+            if (gain < 0) {
+                return -plan.value * Math.min(1, -gain / plan.cost) * 0.5;
+            }
+            if (gain === 0) return 0;
+            
+            // Turns until the finisher can be used if the enemy keeps charging
+            const passive = this.getPassiveTpGain();
+            const remaining = Math.max(0, plan.cost - tp - gain - passive);
+            const rate = passive + plan.chargeRate;
+            const turns = 1 + (remaining > 0 ? (rate > 0 ? Math.ceil(remaining / rate) : Infinity) : 0);
+            if (turns > this.estimateBattleLength()) return 0;
+            
+            return plan.value * Math.min(1, gain / plan.cost) * Math.pow(0.85, turns - 1);
+        }
+        
+        // Cost modifier against a resource budget
+        getBudgetModifier(cost, budget) {
+            // Dipping into a reserve is a last resort, unless the battle is about to end
+            if (cost > budget.spendable) {
+                return budget.horizon <= 1 ? 0.8 : 0.3;
             }
-            // Late battle
-            else if (turn > 10) {
-                if (skillAnalysis.categories.isDamage) modifier *= 1.2;
-                if (skillAnalysis.categories.hasStatusEffect && !skillAnalysis.categories.isDamage) {
-                    modifier *= 0.7; // Less time for status
-                }
+            
+            const share = cost / Math.max(1, budget.perTurn);
+            return share > 1 ? Math.max(0.4, 1 / Math.sqrt(share)) : 1.0;
+        }
+        
+        // Plugin parameters with this enemy's <ai_weights> and <ai_param> overrides
+        getParams() {
+            const enemyData = this.enemy && this.enemy.enemy ? this.enemy.enemy() : null;
+            return Object.assign(getPluginParams(), EnemyParams.getOverrides(enemyData));
+        }
+        
+        // Weights of the four score categories, from the current phase or the enemy's parameters
+        getScoreWeights() {
+            const phase = EnemyPhases.getCurrentPhase(this.enemy);
+            if (phase && phase.weights) {
+                return phase.weights;
             }
             
-            return modifier;
+            const params = this.getParams();
+            return {
+                survival: params.survivalWeight,
+                damage: params.damageWeight,
+                support: params.supportWeight,
+                tactical: params.tacticalWeight
+            };
         }
         
         // Get role-based modifier
@@ -3403,24 +6946,34 @@
             return $gameTemp._enemyTeamDecisions;
         }
         
+        // What the rest of the troop needs to know about a chosen skill and its targets
+        createTeamDecision(skillId, targets) {
+            const skillAnalysis = this.getSkillAnalysis(skillId);
+            return {
+                skillId: skillId,
+                targets: targets,
+                isHealing: !!skillAnalysis && (skillAnalysis.categories.isHeal || skillAnalysis.categories.isRevive),
+                expectedDamage: this.getExpectedDamageByTarget(targets, skillAnalysis),
+                target: targets && targets.length > 0 ? targets[0].name() : null
+            };
+        }
+        
         // Register this enemy's decision
         registerDecision(decision) {
             if (!decision) return;
             
             const teamDec = this.teamDecisions;
+            this.lastRegistered = decision;
             
             // Register healing assignments
             if (decision.isHealing) {
                 teamDec.healingAssigned[decision.target] = true;
             }
             
-            // Register damage expectations
-            if (decision.expectedDamage > 0) {
-                const targetKey = decision.target;
-                if (!teamDec.expectedDamage[targetKey]) {
-                    teamDec.expectedDamage[targetKey] = 0;
-                }
-                teamDec.expectedDamage[targetKey] += decision.expectedDamage;
+            // Register damage expectations under this enemy, so they can be withdrawn once it acts
+            const committed = teamDec.expectedDamage[this.enemy.index()] = teamDec.expectedDamage[this.enemy.index()] || {};
+            for (const [targetKey, damage] of Object.entries(decision.expectedDamage || {})) {
+                committed[targetKey] = (committed[targetKey] || 0) + damage;
             }
             
             // Register target assignments
@@ -3437,6 +6990,28 @@
             }
         }
         
+        // Take back a registered decision that the troop planner replaced
+        withdrawDecision(decision) {
+            if (!decision) return;
+            
+            const teamDec = this.teamDecisions;
+            if (decision.isHealing) {
+                delete teamDec.healingAssigned[decision.target];
+            }
+            
+            const committed = teamDec.expectedDamage[this.enemy.index()];
+            for (const [targetKey, damage] of Object.entries(committed ? decision.expectedDamage || {} : {})) {
+                committed[targetKey] = (committed[targetKey] || 0) - damage;
+                if (committed[targetKey] <= 0) delete committed[targetKey];
+            }
+            
+            const assigned = teamDec.targetAssignments[decision.target];
+            const position = assigned ? assigned.indexOf(this.enemy.name()) : -1;
+            if (position >= 0) {
+                assigned.splice(position, 1);
+            }
+        }
+        
         // Share knowledge between enemies
         shareKnowledge() {
             const shared = this.teamDecisions.sharedKnowledge;
@@ -3519,7 +7094,7 @@
                 ? this.enemy.attackSkillId()
                 : 1;
             
-            const enemyActions = this.enemy.enemy().actions || [];
+            const enemyActions = EnemyPhases.getActionList(this.enemy);
             for (const action of enemyActions) {
                 if (this.enemy.isActionValid && this.enemy.isActionValid(action)) {
                     const skill = $dataSkills[action.skillId];
@@ -3527,6 +7102,9 @@
                         if (!includeBasicAttack && skill.id === atkId) {
                             continue;
                         }
+                        if (this.isForbiddenSkill(skill.id)) {
+                            continue;
+                        }
                         const rating = action.rating || 5;
                         for (let i = 0; i < rating; i++) {
                             validActions.push(skill);
@@ -3536,15 +7114,16 @@
             }
             
             if (validActions.length > 0) {
-                const randomSkill = validActions[Math.floor(Math.random() * validActions.length)];
+                const randomSkill = validActions[AIRandom.randomInt(validActions.length)];
                 return randomSkill.id;
             }
             
-            // Try any skill
+            // Try any usable skill, whatever its action conditions
             const allSkills = [];
             for (const action of enemyActions) {
                 const skill = $dataSkills[action.skillId];
-                if (skill && (!includeBasicAttack || skill.id !== atkId)) {
+                if (skill && (includeBasicAttack || skill.id !== atkId) &&
+                    this.canUseSkill(skill) && !this.isForbiddenSkill(skill.id)) {
                     const rating = action.rating || 5;
                     for (let i = 0; i < rating; i++) {
                         allSkills.push(skill.id);
@@ -3553,11 +7132,18 @@
             }
             
             if (allSkills.length > 0) {
-                const randomId = allSkills[Math.floor(Math.random() * allSkills.length)];
+                const randomId = allSkills[AIRandom.randomInt(allSkills.length)];
                 return randomId;
             }
             
-            return atkId;
+            // Attack, then Guard; 0 when rules forbid both
+            const guardId = this.enemy.guardSkillId ? this.enemy.guardSkillId() : 2;
+            return [atkId, guardId].find(id => !this.isForbiddenSkill(id)) || 0;
+        }
+        
+        // Whether an <ai_rule> forbade the skill in this decision
+        isForbiddenSkill(skillId) {
+            return !!this.forbiddenSkills && this.forbiddenSkills.includes(skillId);
         }
         
         // Main decision-making method with state preservation logic
@@ -3565,14 +7151,29 @@
             // Clear caches periodically to prevent memory leaks
             this.clearCaches();
             
+            // Damage distributions and simulations depend on projected state, which changes between slots
+            this.damageDistributionCache.clear();
+            this.simulationCache.clear();
+            this.incomingDamageCache.clear();
+            this.battleLengthEstimate = null;
+            this.finisherPlan = undefined;
+            this.forbiddenSkills = null;
+            
+            // Same seed and battle state always give the same decision
+            AIRandom.seedDecision(this.enemy, this.projection.slot);
+            
+            // Only a decision taken on its scores leaves alternatives for the troop planner
+            this.lastCandidates = null;
+            this.lastRegistered = null;
+            
             this.analyzeBattleState();
             
             const availableActions = this.getAllAvailableActions();
             const evaluations = [];
             
-            const params = getPluginParams();
+            const params = this.getParams();
             if (params.debugMode) {
-                console.log(`=== ${this.enemy.name()} AI Decision (v4.1.1) ===`);
+                console.log(`=== ${this.enemy.name()} AI Decision (v4.1.1) - Slot ${this.projection.slot + 1} ===`);
                 console.log('Battle State:', this.battleState);
                 console.log('Available Actions:', availableActions.length);
                 console.log('Difficulty Mode:', params.difficultyMode);
@@ -3586,7 +7187,7 @@
                     : 1;
                 return {
                     skillId: atkSkillId,
-                    targets: [$gameParty.randomTarget() || $gameParty.members()[0]]
+                    targets: [this.getFallbackTarget()]
                 };
             }
             
@@ -3610,11 +7211,45 @@
             // Sort by total score
             evaluations.sort((a, b) => b.totalScore - a.totalScore);
             
+            // Kept for the fallbacks, which must respect the rules too
+            this.forbiddenSkills = evaluations.filter(e => e.forbidden).map(e => e.action.skillId);
+            
+            // Tagged bosses check the best candidates against the next rounds
+            const search = this.getSearchSettings();
+            if (search && search.mode === 'lookahead') {
+                new LookaheadSearch(this, search.depth).apply(evaluations);
+                evaluations.sort((a, b) => b.totalScore - a.totalScore);
+            } else if (search && search.mode === 'mcts') {
+                new RolloutSearch(this).apply(evaluations);
+                evaluations.sort((a, b) => b.totalScore - a.totalScore);
+            }
+            
+            // Follow the <ai_sequence> step unless an interruptible sequence meets a much better option
+            const scripted = this.getScriptedEvaluation();
+            if (scripted) {
+                const best = evaluations[0];
+                if (EnemySequence.isInterruptible(this.enemy) && best && best.action.skillId !== scripted.action.skillId &&
+                    best.totalScore >= scripted.totalScore + params.sequenceInterruptMargin) {
+                    if (params.debugMode) {
+                        console.log(`\nSequence interrupted by ${best.action.skill.name} (${best.totalScore.toFixed(2)} vs ${scripted.totalScore.toFixed(2)})`);
+                    }
+                } else {
+                    // Later slots continue after this step; the enemy's own progress moves when the action starts
+                    this.sequenceIndex = scripted.sequenceIndex;
+                    if (params.debugMode) {
+                        console.log(`\nSequence step: ${scripted.action.skill.name}`);
+                    }
+                    const decision = this.selectEvaluation(scripted);
+                    decision.sequenceIndex = scripted.sequenceIndex;
+                    return decision;
+                }
+            }
+            
             // Check if top choice would break valuable states
             if (evaluations.length > 0 && evaluations[0].statePreservationScore < -50) {
                 // Look for high-scoring non-damaging alternatives
                 const nonDamagingEvals = evaluations.filter(e => 
-                    !e.skillAnalysis.categories.isDamage && e.totalScore > evaluations[0].totalScore * 0.7
+                    !e.forbidden && !e.skillAnalysis.categories.isDamage && e.totalScore > evaluations[0].totalScore * 0.7
                 );
                 
                 if (nonDamagingEvals.length > 0 && params.debugMode) {
@@ -3630,8 +7265,8 @@
             }
             
             // Story mode mistake chance
-            if (this.difficultyBehavior.mistakeChance > 0 && Math.random() < this.difficultyBehavior.mistakeChance) {
-                const suboptimalIndex = Math.floor(Math.random() * Math.min(3, evaluations.length));
+            if (this.difficultyBehavior.mistakeChance > 0 && AIRandom.next() < this.difficultyBehavior.mistakeChance) {
+                const suboptimalIndex = AIRandom.randomInt(Math.min(3, evaluations.length));
                 if (evaluations[suboptimalIndex] && evaluations[suboptimalIndex].totalScore > 0) {
                     const mistakeEval = evaluations[suboptimalIndex];
                     if (params.debugMode) {
@@ -3639,14 +7274,14 @@
                     }
                     return {
                         skillId: mistakeEval.action.skillId,
-                        targets: mistakeEval.targets
+                        targets: this.resolveDecisionTargets(mistakeEval.targets, mistakeEval.skillAnalysis)
                     };
                 }
             }
             
             // Handle no valid evaluations
             if (evaluations.length === 0 || evaluations[0].totalScore <= 0) {
-                const randomSkillId = this.getRandomValidSkill();
+                const randomSkillId = this.getRandomValidSkill(params.includeBasicAttack);
                 const randomSkill = $dataSkills[randomSkillId];
                 const fallbackId = (this.enemy.attackSkillId && typeof this.enemy.attackSkillId === 'function')
                     ? this.enemy.attackSkillId()
@@ -3656,17 +7291,66 @@
                     const targets = this.getPotentialTargetsEnhanced(randomSkill, skillAnalysis);
                     return {
                         skillId: randomSkillId,
-                        targets: targets.length > 0 ? targets : [$gameParty.randomTarget() || $gameParty.members()[0]]
+                        targets: targets.length > 0 ? this.resolveDecisionTargets(targets, skillAnalysis) :
+                            [this.getFallbackTarget()]
                     };
                 }
+                
+                // Every option is forbidden: the slot stays empty
+                if (!randomSkill) {
+                    return { skillId: 0, targets: [] };
+                }
                 return {
                     skillId: fallbackId,
-                    targets: [$gameParty.randomTarget() || $gameParty.members()[0]]
+                    targets: [this.getFallbackTarget()]
                 };
             }
             
             // Select best action
-            const bestEval = evaluations[0];
+            this.lastCandidates = evaluations.filter(e => !e.forbidden && e.totalScore > 0).slice(0, 4);
+            return this.selectEvaluation(evaluations[0]);
+        }
+        
+        // Evaluation of the current <ai_sequence> step; steps that cannot be used now are skipped
+        getScriptedEvaluation() {
+            const sequence = EnemySequence.getSequence(this.enemy.enemy());
+            if (!sequence) return null;
+            if (this.sequenceIndex === undefined) {
+                this.sequenceIndex = this.enemy._aiSequenceIndex || 0;
+            }
+            
+            // Look at most once round the sequence for a step that can be used
+            let index = this.sequenceIndex;
+            for (let step = 0; step < sequence.skills.length; step++) {
+                const skillId = EnemySequence.getStep(this.enemy, index);
+                if (!skillId) return null;
+                
+                const skill = $dataSkills[skillId];
+                const evaluation = skill && this.canUseSkill(skill) ? this.evaluateAction({
+                    action: { skillId: skillId, rating: 5, conditionType: 0, conditionParam1: 0, conditionParam2: 0 },
+                    skill: skill,
+                    skillId: skillId,
+                    rating: 5,
+                    tpCost: skill.tpCost,
+                    mpCost: skill.mpCost
+                }) : null;
+                
+                index = EnemySequence.getNextIndex(this.enemy, index);
+                if (evaluation && !evaluation.forbidden && evaluation.targets && evaluation.targets.length > 0) {
+                    evaluation.sequenceIndex = index;
+                    return evaluation;
+                }
+                if (this.getParams().debugMode) {
+                    console.log(`\nSequence step ${skill ? skill.name : skillId} skipped (cannot be used now)`);
+                }
+            }
+            return null;
+        }
+        
+        // Register and return the decision for an evaluated action
+        selectEvaluation(bestEval) {
+            const params = this.getParams();
+            const bestTargets = this.resolveDecisionTargets(bestEval.targets, bestEval.skillAnalysis);
             
             if (params.debugMode) {
                 console.log(`\nSelected: ${bestEval.action.skill.name} (Score: ${bestEval.totalScore.toFixed(2)})`);
@@ -3676,68 +7360,361 @@
             }
             
             // Register decision
-            const decision = {
-                skillId: bestEval.action.skillId,
-                targets: bestEval.targets,
-                isHealing: bestEval.action.skill && this.getSkillAnalysis(bestEval.action.skillId).categories.isHeal,
-                expectedDamage: bestEval.targets && bestEval.targets.length > 0 ? 
-                    this.estimateDamageEnhanced(bestEval.action.skill, bestEval.targets[0], this.getSkillAnalysis(bestEval.action.skillId)) : 0,
-                target: bestEval.targets && bestEval.targets.length > 0 ? bestEval.targets[0].name() : null
-            };
-            
-            this.registerDecision(decision);
+            this.registerDecision(this.createTeamDecision(bestEval.action.skillId, bestTargets));
             
             return {
                 skillId: bestEval.action.skillId,
-                targets: bestEval.targets
+                targets: bestTargets
             };
         }
+        
+        // Turn evaluated targets into the targets the action will really hit
+        resolveDecisionTargets(targets, skillAnalysis) {
+            if (!targets || !skillAnalysis) return targets || [];
+            
+            // Random scopes were scored over every outcome; roll the actual ones now
+            if (skillAnalysis.targeting.random) {
+                return this.rollRandomTargets(targets, skillAnalysis);
+            }
+            
+            return targets;
+        }
+    }
+    
+    // Apply an AI decision to a Game_Action
+    const applyDecisionToAction = (action, decision) => {
+        action.setSkill(decision.skillId);
+        action.setAITargets(decision.targets);
+        action._aiSequenceIndex = decision.sequenceIndex;
+        
+        // Set targets
+        if (decision.targets && decision.targets.length > 0) {
+            const target = decision.targets[0];
+            if (target.isActor && target.isActor()) {
+                action.setTarget(target.index());
+            } else {
+                const enemyIndex = $gameTroop.members().indexOf(target);
+                if (enemyIndex >= 0) {
+                    action.setTarget(enemyIndex);
+                }
+            }
+        }
+    };
+    
+    // Withdraw an enemy's committed damage once its actions are gone, whether it acted or not
+    const releaseCommittedDamage = enemy => {
+        const teamDecisions = $gameTemp ? $gameTemp._enemyTeamDecisions : null;
+        if (teamDecisions && teamDecisions.expectedDamage) {
+            delete teamDecisions.expectedDamage[enemy.index()];
+        }
+    };
+    
+    // Default rating-based pick for a single action slot
+    const selectDefaultEnemyAction = (enemy, actionList, index) => {
+        if (!actionList || actionList.length === 0) return;
+        const ratingMax = Math.max(...actionList.map(a => a.rating));
+        const ratingZero = ratingMax - 3;
+        const candidates = actionList.filter(a => a.rating > ratingZero);
+        enemy.action(index).setEnemyAction(enemy.selectAction(candidates, ratingZero));
+    };
+    
+    // Keep the exact targets rolled by the AI for random scopes
+    Game_Action.prototype.setAITargets = function(targets) {
+        this._aiTargets = null;
+        if (!targets || targets.length === 0 || !this.isForRandom()) return;
+        
+        // Store member indices so the action never holds battler references
+        const unit = this.opponentsUnit();
+        const indices = targets.map(target => unit.members().indexOf(target)).filter(index => index >= 0);
+        if (indices.length > 0) {
+            this._aiTargets = indices;
+        }
+    };
+    
+    // Resolve the stored AI targets, replacing any that fell before the action ran
+    Game_Action.prototype.aiTargets = function() {
+        if (!this._aiTargets || !this.item()) return null;
+        if (!this._forcing && this.subject().isConfused()) return null;
+        
+        const unit = this.opponentsUnit();
+        const targets = [];
+        for (const index of this._aiTargets) {
+            const target = unit.members()[index];
+            if (target && target.isAlive()) {
+                targets.push(target);
+            } else {
+                const replacement = unit.randomTarget();
+                if (replacement) targets.push(replacement);
+            }
+        }
+        
+        return targets.length > 0 ? targets : null;
+    };
+    
+    const _Game_Action_makeTargets = Game_Action.prototype.makeTargets;
+    Game_Action.prototype.makeTargets = function() {
+        const aiTargets = this.aiTargets();
+        if (aiTargets) {
+            return this.repeatTargets(aiTargets);
+        }
+        return _Game_Action_makeTargets.call(this);
+    };
+    
+    // Plans the whole troop's turn: each enemy decides as usual, then the choices are
+    // revised together against double heals, redundant attackers and badly timed buffs.
+    class TroopPlanner {
+        static begin() {
+            this.agents = [];
+            this.planning = getPluginParams().troopPlanning;
+            
+            // Assignments only describe the turn being planned
+            const teamDecisions = $gameTemp._enemyTeamDecisions;
+            if (teamDecisions) {
+                teamDecisions.healingAssigned = {};
+                teamDecisions.targetAssignments = {};
+                teamDecisions.expectedDamage = {};
+            }
+        }
+        
+        // Record a slot decision together with the alternatives its engine considered
+        static record(enemy, slot, engine, decision) {
+            if (!this.planning) return;
+            
+            const candidates = engine.lastCandidates || [];
+            const chosen = candidates.findIndex(evaluation => evaluation.action.skillId === decision.skillId);
+            if (chosen < 0) {
+                // Scripted, fallback and mistaken picks are kept as they are
+                this.agents.push({ enemy: enemy, slot: slot, engine: engine, fixed: true,
+                    options: [this.createOption(engine, decision.skillId, decision.targets, null, 0)], pick: 0 });
+                return;
+            }
+            
+            const options = candidates.map(evaluation => this.createOption(engine, evaluation.action.skillId,
+                evaluation.targets, evaluation, evaluation.totalScore));
+            
+            // Later slots were planned around the first one's projection, so multi-action enemies keep their picks
+            this.agents.push({
+                enemy: enemy,
+                slot: slot,
+                engine: engine,
+                fixed: enemy.numActions() > 1 || options.length < 2,
+                registered: engine.lastRegistered,
+                options: options,
+                pick: options.findIndex(option => option.evaluation === candidates[chosen])
+            });
+        }
+        
+        // Expected damage, healing and buffs of one option, taken from its engine at decision time
+        static createOption(engine, skillId, targets, evaluation, score) {
+            const skill = $dataSkills[skillId];
+            const skillAnalysis = engine.getSkillAnalysis(skillId);
+            const option = { skillId: skillId, targets: targets || [], evaluation: evaluation, score: score,
+                damage: new Map(), healing: new Map(), hp: new Map(), buffs: [], speed: 0, single: true };
+            if (!skill || !skillAnalysis) return option;
+            
+            const subject = engine.enemy;
+            option.speed = subject.agi + (5 + subject.agi / 4) / 2 + (skill.speed || 0);
+            option.single = option.targets.length <= 1;
+            
+            const weights = evaluation ? evaluation.targetWeights : null;
+            for (const target of option.targets) {
+                const hits = weights && weights.has(target) ? weights.get(target) : (skill.repeats || 1);
+                option.hp.set(target, engine.getProjectedHp(target));
+                if (skillAnalysis.categories.isDamage && skillAnalysis.damage.type === 'hp') {
+                    option.damage.set(target, engine.estimateDamageEnhanced(skill, target, skillAnalysis) * hits);
+                } else if (skillAnalysis.categories.isHeal) {
+                    option.healing.set(target, engine.estimateHealingAmount(skillAnalysis, target) * hits);
+                }
+            }
+            
+            option.buffs = skillAnalysis.effects.filter(effect => effect.code === 31).map(effect => effect.paramId);
+            option.hitType = skill.hitType;
+            option.isDamage = skillAnalysis.categories.isDamage;
+            return option;
+        }
+        
+        // Revise the recorded choices and write the changed ones back to the actions
+        static finish() {
+            const agents = this.agents || [];
+            this.planning = false;
+            this.agents = [];
+            if (agents.filter(agent => !agent.fixed).length === 0 || agents.length < 2) return;
+            
+            const picks = this.solve(agents);
+            for (let i = 0; i < agents.length; i++) {
+                const agent = agents[i];
+                if (picks[i] === agent.pick) continue;
+                
+                const option = agent.options[picks[i]];
+                const targets = agent.engine.resolveDecisionTargets(option.targets, option.evaluation.skillAnalysis);
+                applyDecisionToAction(agent.enemy.action(agent.slot), { skillId: option.skillId, targets: targets });
+                
+                // Teammates deciding later this turn must see the new pick, not the discarded one
+                agent.engine.withdrawDecision(agent.registered);
+                agent.engine.registerDecision(agent.engine.createTeamDecision(option.skillId, targets));
+                
+                if (getPluginParams().debugMode) {
+                    console.log(`Troop plan: ${agent.enemy.name()} uses ${$dataSkills[option.skillId].name} ` +
+                        `instead of ${$dataSkills[agent.options[agent.pick].skillId].name}`);
+                }
+            }
+        }
+        
+        // Coordinate ascent: each enemy in turn switches to its best option given the others
+        static solve(agents) {
+            const picks = agents.map(agent => agent.pick);
+            let best = this.getJointScore(agents, picks);
+            
+            for (let pass = 0; pass < 3; pass++) {
+                let improved = false;
+                for (let i = 0; i < agents.length; i++) {
+                    if (agents[i].fixed) continue;
+                    
+                    let bestPick = picks[i];
+                    for (let j = 0; j < agents[i].options.length; j++) {
+                        picks[i] = j;
+                        const score = this.getJointScore(agents, picks);
+                        if (score > best + 0.001) {
+                            best = score;
+                            bestPick = j;
+                            improved = true;
+                        }
+                    }
+                    picks[i] = bestPick;
+                }
+                if (!improved) break;
+            }
+            
+            return picks;
+        }
+        
+        // Sum of the individual scores plus what the choices do for each other
+        static getJointScore(agents, picks) {
+            const chosen = agents.map((agent, i) => Object.assign({ enemy: agent.enemy }, agent.options[picks[i]]));
+            let score = chosen.reduce((sum, option) => sum + option.score, 0);
+            
+            const damage = new Map();
+            const healing = new Map();
+            for (const option of chosen) {
+                for (const [target, amount] of option.damage) {
+                    if (!damage.has(target)) damage.set(target, []);
+                    damage.get(target).push({ amount: amount, single: option.single, hp: option.hp.get(target) });
+                }
+                for (const [target, amount] of option.healing) {
+                    if (!healing.has(target)) healing.set(target, []);
+                    healing.get(target).push({ amount: amount, single: option.single, hp: option.hp.get(target) });
+                }
+            }
+            
+            // Projected HP before the first of these actions; later slots of an enemy already see its earlier
+            // ones, so that is the highest HP among damage and the lowest among heals
+            const startHp = (contributions, pick) => pick(...contributions.map(entry => entry.hp));
+            
+            // Kills only the combined damage achieves, minus attackers the kill does not need
+            for (const [target, hits] of damage) {
+                const hp = startHp(hits, Math.max);
+                const total = hits.reduce((sum, hit) => sum + hit.amount, 0);
+                if (total < hp) continue;
+                if (Math.max(...hits.map(hit => hit.amount)) < hp) score += 30;
+                score -= this.countRedundant(hits, total, hp) * 20;
+            }
+            
+            // Heals beyond the missing HP
+            for (const [target, heals] of healing) {
+                if (heals.length < 2) continue;
+                const total = heals.reduce((sum, heal) => sum + heal.amount, 0);
+                score -= this.countRedundant(heals, total, Math.max(target.mhp - startHp(heals, Math.min), 1)) * 30;
+            }
+            
+            // Buffs pay off when the buffed ally acts after the buffer with a matching attack
+            for (const option of chosen) {
+                if (option.buffs.length === 0) continue;
+                for (const target of option.targets) {
+                    if (target === option.enemy) continue;
+                    const ally = chosen.find(other => other.enemy === target);
+                    if (!ally || !ally.isDamage) continue;
+                    
+                    const matches = (ally.hitType === 1 && option.buffs.includes(2)) ||
+                        (ally.hitType === 2 && option.buffs.includes(4));
+                    if (!matches) continue;
+                    score += option.speed > ally.speed ? 20 : -10;
+                }
+            }
+            
+            return score;
+        }
+        
+        // Single-target contributions that could be dropped and still reach the amount needed
+        static countRedundant(contributions, total, needed) {
+            let remaining = total;
+            let count = 0;
+            const singles = contributions.filter(c => c.single).map(c => c.amount).sort((a, b) => a - b);
+            for (const amount of singles) {
+                if (remaining - amount < needed) break;
+                remaining -= amount;
+                count++;
+            }
+            return count;
+        }
+        
+        static isPlanning() {
+            return !!this.planning;
+        }
     }
     
     // Override enemy action selection
     const _Game_Enemy_selectAllActions = Game_Enemy.prototype.selectAllActions;
     Game_Enemy.prototype.selectAllActions = function(actionList) {
+        EnemyPhases.update(this);
+        
+        // Fallbacks draw from the current phase's actions, not the database list
+        const phaseActions = EnemyPhases.getActionList(this).filter(action => this.isActionValid(action));
+        
+        let aiEngine = null;
         if (!this.isConfused || !this.isConfused()) {
             try {
-                const aiEngine = new AIDecisionEngine(this);
-                const decision = aiEngine.makeDecision();
+                aiEngine = new AIDecisionEngine(this);
+                
+                // Seeded apart from the action slots so the flee roll replays too
+                AIRandom.seedDecision(this, -1);
+                if (aiEngine.shouldFlee()) {
+                    EnemyFlee.prepareFlight(this);
+                    return;
+                }
                 
-                // Verify skill can still be used
-                const skill = $dataSkills[decision.skillId];
-                let canUse = skill && aiEngine.canUseSkill(skill);
-                let hasValidTarget = true;
+                const numActions = this.numActions();
+                let decidedAny = false;
                 
-                if (canUse && skill) {
-                    const skillAnalysis = aiEngine.getSkillAnalysis(skill.id);
-                    if (!skillAnalysis || !decision.targets || decision.targets.length === 0) {
-                        hasValidTarget = false;
+                // Decide each slot separately, projecting the earlier slots
+                for (let i = 0; i < numActions; i++) {
+                    const decision = aiEngine.makeDecision();
+                    
+                    // Rules forbade everything this enemy could do
+                    if (decision.skillId === 0) {
+                        this.action(i).clear();
+                        decidedAny = true;
+                        continue;
                     }
-                }
                 
-                if (canUse && hasValidTarget) {
-                    // Clear existing actions first
-                    this.clearActions();
+                    // Verify skill can still be used
+                    const skill = $dataSkills[decision.skillId];
+                    const canUse = skill && aiEngine.canUseSkill(skill);
+                    const hasValidTarget = !!(canUse && aiEngine.getSkillAnalysis(skill.id) &&
+                        decision.targets && decision.targets.length > 0);
                     
-                    for (let i = 0; i < this.numActions(); i++) {
-                        const action = new Game_Action(this);
-                        action.setSkill(decision.skillId);
-                        
-                        // Set targets
-                        if (decision.targets && decision.targets.length > 0) {
-                            const target = decision.targets[0];
-                            if (target.isActor && target.isActor()) {
-                                action.setTarget(target.index());
-                            } else {
-                                const enemyIndex = $gameTroop.members().indexOf(target);
-                                if (enemyIndex >= 0) {
-                                    action.setTarget(enemyIndex);
-                                }
-                            }
-                        }
-                        
-                        // Add the action
-                        this._actions.push(action);
+                    if (!canUse || !hasValidTarget) {
+                        if (!decidedAny) break; // Nothing decided yet - use default behavior
+                        selectDefaultEnemyAction(this, phaseActions.filter(action => !aiEngine.isForbiddenSkill(action.skillId)), i);
+                        continue;
                     }
+                    
+                    applyDecisionToAction(this.action(i), decision);
+                    TroopPlanner.record(this, i, aiEngine, decision);
+                    aiEngine.projectDecision(decision);
+                    decidedAny = true;
+                }
+                
+                if (decidedAny) {
                     return; // Exit early - we've set up our actions
                 }
             } catch (error) {
@@ -3748,13 +7725,81 @@
             }
         }
         
-        // Fallback to default behavior
-        _Game_Enemy_selectAllActions.call(this, actionList);
+        // Fallback to default behavior, still without the skills the rules forbade
+        const allowedActions = aiEngine ? phaseActions.filter(action => !aiEngine.isForbiddenSkill(action.skillId)) : phaseActions;
+        _Game_Enemy_selectAllActions.call(this, allowedActions);
+    };
+    
+    // New choices (or a stun) replace what the enemy had committed
+    const _Game_Enemy_clearActions = Game_Enemy.prototype.clearActions;
+    Game_Enemy.prototype.clearActions = function() {
+        _Game_Enemy_clearActions.call(this);
+        // Simulated copies share the live enemy's index
+        if (ActionSimulator.isActive()) return;
+        releaseCommittedDamage(this);
+    };
+    
+    // Once the enemy has acted, its damage is in the targets' HP
+    const _BattleManager_endBattlerActions = BattleManager.endBattlerActions;
+    BattleManager.endBattlerActions = function(battler) {
+        _BattleManager_endBattlerActions.call(this, battler);
+        if (battler && battler.isEnemy()) {
+            releaseCommittedDamage(battler);
+        }
+    };
+    
+    // Enemies that chose to flee leave instead of acting; other actions move their <ai_sequence> on
+    const _BattleManager_startAction = BattleManager.startAction;
+    BattleManager.startAction = function() {
+        const subject = this._subject;
+        const action = subject ? subject.currentAction() : null;
+        if (action && action._aiFlee) {
+            EnemyFlee.flee(subject);
+            if (this._logWindow) {
+                this._logWindow.push('addText', getPluginParams().fleeMessage.format(subject.name()));
+            }
+            return;
+        }
+        
+        // An <ai_sequence> step is taken once the action carrying it starts
+        if (action && action._aiSequenceIndex !== undefined) {
+            subject._aiSequenceIndex = action._aiSequenceIndex;
+        }
+        _BattleManager_startAction.call(this);
+    };
+    
+    // Provoking skills and items add their <ai_hate> once per use
+    const _Game_Action_applyGlobal = Game_Action.prototype.applyGlobal;
+    Game_Action.prototype.applyGlobal = function() {
+        _Game_Action_applyGlobal.call(this);
+        if (!ActionSimulator.isActive()) {
+            HateTable.recordItem(this.subject(), this.item());
+            PlayerProfiler.recordAction(this.subject(), this.item());
+        }
+    };
+    
+    // Plan the troop's actions together each turn
+    const _Game_Troop_makeActions = Game_Troop.prototype.makeActions;
+    Game_Troop.prototype.makeActions = function() {
+        TroopPlanner.begin();
+        _Game_Troop_makeActions.call(this);
+        try {
+            TroopPlanner.finish();
+        } catch (error) {
+            if (getPluginParams().debugMode) {
+                console.error('Troop Planner Error:', error);
+            }
+        }
     };
     
     // Hook into action execution to track results
     const _Game_Action_apply = Game_Action.prototype.apply;
     Game_Action.prototype.apply = function(target) {
+        if (ActionSimulator.isActive()) {
+            _Game_Action_apply.call(this, target);
+            return;
+        }
+        
         const subject = this.subject();
         const skill = this.item();
         const beforeHp = target ? target.hp : 0;
@@ -3764,27 +7809,14 @@
         
         if (!subject || !target || !skill) return;
         
+        HateTable.recordResult(subject, target);
+        
         // Track player actions for profiling
         if (subject.isActor && subject.isActor()) {
             PlayerProfiler.updateProfile(this, subject, target, {
                 damage: beforeHp - target.hp,
                 statesChanged: target._states && target._states.length !== beforeStates.length
             });
-            
-            // Track skill sequence
-            if (!subject._lastBattleSkillId) {
-                subject._lastBattleSkillId = skill.id;
-            } else {
-                const profile = $globalAIMemory.playerProfile;
-                const lastSkillData = profile.skillUsage[subject._lastBattleSkillId];
-                if (lastSkillData) {
-                    if (!lastSkillData.commonFollowUps[skill.id]) {
-                        lastSkillData.commonFollowUps[skill.id] = 0;
-                    }
-                    lastSkillData.commonFollowUps[skill.id]++;
-                }
-                subject._lastBattleSkillId = skill.id;
-            }
         }
         
         // Track observed skills from actors
@@ -3814,7 +7846,7 @@
                 }
                 
                 // Update capabilities
-                if (skill.damage && skill.damage.type < 0) caps.canHeal = true;
+                if (skill.damage && (skill.damage.type === 3 || skill.damage.type === 4)) caps.canHeal = true;
                 if (skill.effects && skill.effects.some(e => e.code === 22 && e.dataId === 1)) caps.canRevive = true;
                 if (skill.scope >= 2 && skill.scope <= 6) caps.hasAOE = true;
                 if (skill.effects && skill.effects.some(e => e.code === 21)) caps.hasStatus = true;
@@ -3830,6 +7862,11 @@
     // Track damage and states for learning
     const _Game_Action_executeHpDamage = Game_Action.prototype.executeHpDamage;
     Game_Action.prototype.executeHpDamage = function(target, value) {
+        if (ActionSimulator.isActive()) {
+            _Game_Action_executeHpDamage.call(this, target, value);
+            return;
+        }
+        
         const beforeHp = target ? target.hp : 0;
         const beforeStates = target && target._states ? target._states.slice() : [];
         
@@ -3926,6 +7963,8 @@
     Game_Action.prototype.applyItemUserEffect = function(target) {
         _Game_Action_applyItemUserEffect.call(this, target);
         
+        if (ActionSimulator.isActive()) return;
+        
         const params = getPluginParams();
         if (params.itemTrackingEnabled && this.isItem && this.isItem() && 
             this.subject() && this.subject().isActor && this.subject().isActor()) {
@@ -3971,9 +8010,21 @@
         _BattleManager_setup.call(this, troopId, canEscape, canLose);
         
         const params = getPluginParams();
+        AIRandom.setupBattle(troopId);
+        HateTable.reset();
+        PlayerProfiler.resetHistory();
+        
+        // inBattle() is still false during setup, so apply the troop's difficulty here
+        const settings = TroopDoctrine.getCurrentSettings();
+        const difficultyMode = settings.difficultyMode !== undefined ? settings.difficultyMode : params.difficultyMode;
+        
+        if (params.debugMode) {
+            console.log(`Troop doctrine: ${settings.doctrine}` +
+                (settings.difficultyMode !== undefined ? `, difficulty mode ${settings.difficultyMode}` : ''));
+        }
         
         // Only clear if not persistent
-        if (!getDifficultyBehavior(params.difficultyMode).persistentMemory) {
+        if (!getDifficultyBehavior(difficultyMode).persistentMemory) {
             $gameTemp._enemyAIMemory = {};
         } else {
             // Preserve some data between battles
@@ -4014,7 +8065,7 @@
             }
             
             // Load global knowledge if Masochist mode
-            if (params.difficultyMode === 2) {
+            if (difficultyMode === 2) {
                 const memory = $gameTemp._enemyAIMemory[i];
                 // Copy known weaknesses
                 Object.assign(memory.elementalData, $globalAIMemory.knownWeaknesses);
@@ -4029,6 +8080,8 @@
     BattleManager.endTurn = function() {
         _BattleManager_endTurn.call(this);
         
+        HateTable.decay(getPluginParams().hateDecay);
+        
         if ($gameTemp._enemyAIMemory) {
             for (const memory of Object.values($gameTemp._enemyAIMemory)) {
                 if (memory) {
@@ -4072,14 +8125,32 @@
                 healingUsage: {},
                 itemUsage: {},
                 skillUsage: {},
-                turnPatterns: [],
                 lastActions: [],
-                itemQuantities: {}
-            }
+                itemQuantities: {},
+                actorModels: {}
+            },
+            fledEnemies: {}
         };
         console.log('AI Memory has been reset');
     });
     
+    PluginManager.registerCommand(pluginName, 'setRandomSeed', args => {
+        const seed = String(args.seed || '').trim();
+        if (seed === '') {
+            $gameSystem._aiRandomSeed = null;
+            console.log('AI random seed cleared (a new seed is rolled each battle)');
+        } else {
+            const value = Number(seed);
+            $gameSystem._aiRandomSeed = Number.isInteger(value) ? value >>> 0 : AIRandom.hashString(seed);
+            console.log(`AI random seed set to: ${$gameSystem._aiRandomSeed}`);
+        }
+        
+        // Apply immediately when called during battle
+        if ($gameParty.inBattle()) {
+            AIRandom.setupBattle($gameTroop._troopId);
+        }
+    });
+    
     PluginManager.registerCommand(pluginName, 'toggleDebugMode', args => {
         $gameSystem._aiDebugMode = !$gameSystem._aiDebugMode;
         console.log(`AI Debug Mode: ${$gameSystem._aiDebugMode ? 'ON' : 'OFF'}`);